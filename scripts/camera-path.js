@@ -0,0 +1,121 @@
+H5P.ThreeSixty.CameraPath = (function (ThreeSixty) {
+
+  const easings = ThreeSixty.easings;
+  const getAngleDelta = ThreeSixty.getAngleDelta;
+
+  /**
+   * Class for a path the camera can follow, made up of keyframes.
+   * Can be stored as JSON and passed back to the constructor.
+   *
+   * @class H5P.ThreeSixty.CameraPath
+   * @param {Object} [data] From toJSON
+   */
+  function CameraPath(data) {
+    /** @alias H5P.ThreeSixty.CameraPath# */
+    var self = this;
+
+    const keyframes = [];
+
+    /**
+     * Add a keyframe to the end of the path.
+     *
+     * @param {Object} keyframe
+     * @param {number} keyframe.yaw
+     * @param {number} [keyframe.pitch=0]
+     * @param {number} [keyframe.fov] Degrees, keeps the current if not set
+     * @param {number} [keyframe.duration=2000] Milliseconds to move here from the previous keyframe
+     * @param {number} [keyframe.hold=0] Milliseconds to stay here
+     * @param {string|string[]} [keyframe.highlight] Ids of elements to highlight from here to the next keyframe
+     * @return {Object} The added keyframe
+     */
+    self.add = function (keyframe) {
+      const added = {
+        yaw: keyframe.yaw,
+        pitch: keyframe.pitch || 0,
+        fov: keyframe.fov,
+        duration: (keyframe.duration !== undefined ? keyframe.duration : 2000),
+        hold: keyframe.hold || 0,
+        highlight: [].concat(keyframe.highlight || [])
+      };
+      keyframes.push(added);
+      return added;
+    };
+
+    /**
+     * @param {number} index
+     */
+    self.remove = function (index) {
+      keyframes.splice(index, 1);
+    };
+
+    /**
+     * @return {Object[]}
+     */
+    self.getKeyframes = function () {
+      return keyframes.slice();
+    };
+
+    /**
+     * @return {number} Milliseconds
+     */
+    self.getDuration = function () {
+      return keyframes.reduce(function (total, keyframe, index) {
+        return total + (index === 0 ? 0 : keyframe.duration) + keyframe.hold;
+      }, 0);
+    };
+
+    /**
+     * Get where the camera should be at the given time.
+     *
+     * @param {number} time Milliseconds
+     * @return {Object} yaw, pitch, fov and index of the last keyframe reached. Undefined if empty.
+     */
+    self.getFrame = function (time) {
+      let start = 0;
+      for (let i = 0; i < keyframes.length; i++) {
+        const keyframe = keyframes[i];
+        const travel = (i === 0 ? 0 : keyframe.duration);
+        if (time < start + travel) {
+          // Moving from the previous keyframe
+          const previous = keyframes[i - 1];
+          const t = easings.easeInOutCubic((time - start) / travel);
+          return {
+            yaw: previous.yaw + getAngleDelta(previous.yaw, keyframe.yaw) * t,
+            pitch: previous.pitch + (keyframe.pitch - previous.pitch) * t,
+            fov: (previous.fov !== undefined && keyframe.fov !== undefined ? previous.fov + (keyframe.fov - previous.fov) * t : keyframe.fov),
+            index: i - 1
+          };
+        }
+
+        start += travel + keyframe.hold;
+        if (time < start || i === keyframes.length - 1) {
+          return {
+            yaw: keyframe.yaw,
+            pitch: keyframe.pitch,
+            fov: keyframe.fov,
+            index: i
+          };
+        }
+      }
+    };
+
+    /**
+     * @return {Object}
+     */
+    self.toJSON = function () {
+      return {
+        keyframes: keyframes.map(function (keyframe) {
+          return Object.assign({}, keyframe, {
+            highlight: keyframe.highlight.slice()
+          });
+        })
+      };
+    };
+
+    if (data && data.keyframes) {
+      data.keyframes.forEach(self.add);
+    }
+  }
+
+  return CameraPath;
+})(H5P.ThreeSixty);
@@ -0,0 +1,221 @@
+H5P.ThreeSixty.FallbackRenderer = (function (THREE, ThreeSixty) {
+
+  const pi2 = Math.PI * 2;
+  const getAngleDelta = ThreeSixty.getAngleDelta;
+
+  /**
+   * Class for drawing the panorama on a 2D canvas when WebGL is unavailable.
+   * Implements the parts of THREE.WebGLRenderer used by the viewer.
+   *
+   * Only meshes marked with userData.panorama (equirectangular, possibly
+   * partial) and flat images seen through an orthographic camera are drawn.
+   * Angles are mapped linearly to pixels, i.e. without perspective correction.
+   *
+   * @class H5P.ThreeSixty.FallbackRenderer
+   */
+  function FallbackRenderer() {
+    /** @alias H5P.ThreeSixty.FallbackRenderer# */
+    var self = this;
+
+    const context = document.createElement('canvas').getContext('2d');
+    const viewport = {x: 0, y: 0, width: 0, height: 0};
+    const rotation = new THREE.Euler(0, 0, 0, 'YXZ');
+
+    self.domElement = context.canvas;
+    self.autoClear = true;
+
+    /**
+     * Get the part of the image used by the texture.
+     *
+     * @private
+     * @param {THREE.Texture} texture
+     * @return {Object} Pixels
+     */
+    const getSourceRect = function (texture) {
+      const image = texture.image;
+      const width = image.naturalWidth || image.videoWidth || image.width;
+      const height = image.naturalHeight || image.videoHeight || image.height;
+      return {
+        x: texture.offset.x * width,
+        y: (1 - texture.offset.y - texture.repeat.y) * height, // Textures start at the bottom
+        width: texture.repeat.x * width,
+        height: texture.repeat.y * height
+      };
+    };
+
+    /**
+     * Draw a plane mesh as a rectangle.
+     *
+     * @private
+     * @param {THREE.Mesh} mesh
+     * @param {THREE.OrthographicCamera} camera
+     * @param {number} top Of viewport
+     */
+    const drawFlat = function (mesh, camera, top) {
+      const source = getSourceRect(mesh.material.map);
+      const scaleX = viewport.width / (camera.right - camera.left);
+      const scaleY = viewport.height / (camera.top - camera.bottom);
+      const width = mesh.scale.x * scaleX;
+      const height = mesh.scale.y * scaleY;
+      if (!source.width || !source.height || !width || !height) {
+        return; // Not loaded
+      }
+
+      context.drawImage(mesh.material.map.image,
+        source.x, source.y, source.width, source.height,
+        viewport.x + (mesh.position.x - camera.left) * scaleX - width / 2,
+        top + (camera.top - mesh.position.y) * scaleY - height / 2,
+        width, height);
+    };
+
+    /**
+     * Draw the part of the panorama that the camera is looking at.
+     * The center of the source is at yaw -90 degrees.
+     *
+     * @private
+     * @param {THREE.Mesh} mesh
+     * @param {THREE.Camera} camera
+     * @param {number} top Of viewport
+     */
+    const drawPanorama = function (mesh, camera, top) {
+      const ranges = mesh.userData.panorama;
+      const source = getSourceRect(mesh.material.map);
+      if (!source.width || !source.height) {
+        return; // Not loaded
+      }
+
+      // Get the camera's direction and field of view
+      rotation.setFromRotationMatrix(camera.matrixWorld, 'YXZ');
+      const yaw = -rotation.y + mesh.rotation.y;
+      const pitch = rotation.x;
+      const fovX = 2 * Math.atan(1 / camera.projectionMatrix.elements[0]);
+      const fovY = 2 * Math.atan(1 / camera.projectionMatrix.elements[5]);
+
+      // Pixels per radian
+      const sourceX = source.width / ranges.yaw;
+      const sourceY = source.height / ranges.pitch;
+      const viewX = viewport.width / fovX;
+      const viewY = viewport.height / fovY;
+
+      // Vertical part of the source in view
+      const viewTop = pitch + fovY / 2;
+      const upper = Math.min(viewTop, ranges.pitch / 2);
+      const lower = Math.max(pitch - fovY / 2, -ranges.pitch / 2);
+      if (upper <= lower) {
+        return;
+      }
+      const sy = source.y + (ranges.pitch / 2 - upper) * sourceY;
+      const dy = top + (viewTop - upper) * viewY;
+
+      // Draw from left to right, wrapping around full panoramas
+      const left = getAngleDelta(-Math.PI / 2, yaw) + ranges.yaw / 2 - fovX / 2; // From left edge of source
+      let drawn = 0;
+      while (drawn < fovX) {
+        let start = left + drawn;
+        if (ranges.yaw >= pi2) {
+          start = ((start % pi2) + pi2) % pi2;
+        }
+        else if (start < 0) {
+          drawn = -left; // Nothing to the left of partial panoramas
+          continue;
+        }
+        const width = Math.min(fovX - drawn, ranges.yaw - start);
+        if (width <= 0) {
+          break; // Nothing to the right of partial panoramas
+        }
+
+        context.drawImage(mesh.material.map.image,
+          source.x + start * sourceX, sy, width * sourceX, (upper - lower) * sourceY,
+          viewport.x + drawn * viewX, dy, width * viewX, (upper - lower) * viewY);
+        drawn += width;
+      }
+    };
+
+    /**
+     * @param {number} width
+     * @param {number} height
+     */
+    self.setSize = function (width, height) {
+      context.canvas.width = width;
+      context.canvas.height = height;
+      context.canvas.style.width = width + 'px';
+      context.canvas.style.height = height + 'px';
+      self.setViewport(0, 0, width, height);
+    };
+
+    /**
+     * Set the area to draw in. Drawing is always clipped to it.
+     *
+     * @param {number} x
+     * @param {number} y From the bottom
+     * @param {number} width
+     * @param {number} height
+     */
+    self.setViewport = function (x, y, width, height) {
+      viewport.x = x;
+      viewport.y = y;
+      viewport.width = width;
+      viewport.height = height;
+    };
+
+    /**
+     * Not needed since drawing is clipped to the viewport.
+     */
+    self.setScissor = self.setScissorTest = function () {};
+
+    /**
+     * @return {number}
+     */
+    self.getPixelRatio = function () {
+      return 1;
+    };
+
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     * @param {THREE.WebGLRenderTarget} [renderTarget] Not supported
+     */
+    self.render = function (scene, camera, renderTarget) {
+      if (renderTarget) {
+        return;
+      }
+
+      const top = context.canvas.height - viewport.y - viewport.height;
+      context.save();
+      context.beginPath();
+      context.rect(viewport.x, top, viewport.width, viewport.height);
+      context.clip();
+      if (self.autoClear) {
+        context.fillStyle = '#000';
+        context.fillRect(viewport.x, top, viewport.width, viewport.height);
+      }
+
+      const meshes = [];
+      scene.traverseVisible(function (object) {
+        if (object.isMesh && object.material.map && object.material.map.image && camera.layers.test(object.layers)) {
+          meshes.push(object);
+        }
+      });
+      meshes.sort(function (a, b) {
+        return a.renderOrder - b.renderOrder;
+      }).forEach(function (mesh) {
+        context.globalAlpha = (mesh.material.transparent ? mesh.material.opacity : 1);
+        if (camera.isOrthographicCamera) {
+          drawFlat(mesh, camera, top);
+        }
+        else if (mesh.userData.panorama) {
+          drawPanorama(mesh, camera, top);
+        }
+      });
+
+      context.restore();
+    };
+
+    /**
+     * Nothing to free.
+     */
+    self.dispose = function () {};
+  }
+
+  return FallbackRenderer;
+})(H5P.ThreeJS, H5P.ThreeSixty);
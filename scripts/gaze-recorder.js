@@ -0,0 +1,243 @@
+H5P.ThreeSixty.GazeRecorder = (function (EventDispatcher, THREE, ThreeSixty) {
+
+  const maxPitch = Math.PI / 2;
+  const pi2 = Math.PI * 2;
+  const toRad = ThreeSixty.toRad;
+  const clamp = ThreeSixty.clamp;
+
+  /**
+   * Class for recording where the user looks. The time is added up in a
+   * grid of yaw and pitch bins laid out like an equirectangular image, and
+   * for each of the elements in view.
+   *
+   * The user is assumed to look at the center of the view, with the time
+   * spread out around it.
+   *
+   * @class H5P.ThreeSixty.GazeRecorder
+   * @param {H5P.ThreeSixty} threeSixty
+   * @param {Object} [settings]
+   * @param {number} [settings.columns=72] Number of yaw bins
+   * @param {number} [settings.rows=36] Number of pitch bins
+   * @param {number} [settings.interval=200] Milliseconds between samples
+   * @param {number} [settings.seenThreshold=50] Milliseconds before a bin counts as seen
+   */
+  function GazeRecorder(threeSixty, settings) {
+    /** @alias H5P.ThreeSixty.GazeRecorder# */
+    var self = this;
+
+    // Initialize event inheritance
+    EventDispatcher.call(self);
+
+    settings = settings || {};
+    const columns = settings.columns || 72;
+    const rows = settings.rows || 36;
+    const interval = settings.interval || 200;
+    const seenThreshold = (settings.seenThreshold !== undefined ? settings.seenThreshold : 50);
+
+    const bins = new Float32Array(columns * rows); // Milliseconds
+    let elements = {}; // Milliseconds in view and near the center, by id
+    let duration = 0;
+    let timer = null;
+    let lastSample;
+
+    const directions = []; // Of the center of each bin
+    const areas = new Float32Array(columns * rows); // Relative size of each bin on the sphere
+    const gazeVector = new THREE.Vector3();
+    const elementVector = new THREE.Vector3();
+
+    /**
+     * Get the direction of the position.
+     *
+     * @private
+     * @param {THREE.Vector3} vector
+     * @param {number} yaw
+     * @param {number} pitch
+     * @return {THREE.Vector3}
+     */
+    const setDirection = function (vector, yaw, pitch) {
+      return vector.set(Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), -Math.cos(yaw) * Math.cos(pitch));
+    };
+
+    /**
+     * Add up where the user is looking since the last sample.
+     *
+     * @private
+     */
+    const sample = function () {
+      const now = performance.now();
+      const elapsed = Math.min(now - lastSample, interval * 2); // Skip time when the page was paused
+      lastSample = now;
+      if (document.hidden) {
+        return;
+      }
+
+      const position = threeSixty.getCurrentPosition();
+      const fov = toRad(threeSixty.getFov());
+      setDirection(gazeVector, position.yaw, position.pitch);
+
+      // Spread the time around the center of the view
+      const sigma = Math.max(fov / 8, Math.PI / rows / 2);
+      const minDot = Math.cos(3 * sigma);
+      const weights = [];
+      let total = 0;
+      for (let i = 0; i < bins.length; i++) {
+        const dot = directions[i].dot(gazeVector);
+        if (dot >= minDot) {
+          const angle = Math.acos(Math.min(dot, 1));
+          const weight = Math.exp(-angle * angle / (2 * sigma * sigma)) * areas[i];
+          weights.push([i, weight]);
+          total += weight;
+        }
+      }
+      weights.forEach(function (weight) {
+        bins[weight[0]] += elapsed * weight[1] / total;
+      });
+
+      threeSixty.getVisibleElements().forEach(function (visible) {
+        const time = elements[visible.id] || (elements[visible.id] = {inView: 0, centered: 0});
+        time.inView += elapsed;
+
+        const elementPosition = threeSixty.elements.getPosition(visible.id);
+        if (setDirection(elementVector, elementPosition.yaw, elementPosition.pitch).angleTo(gazeVector) < fov / 4) {
+          time.centered += elapsed;
+        }
+      });
+
+      duration += elapsed;
+      self.trigger('sample');
+    };
+
+    /**
+     * Start sampling.
+     */
+    self.start = function () {
+      if (timer === null) {
+        lastSample = performance.now();
+        timer = setInterval(sample, interval);
+      }
+    };
+
+    /**
+     * Stop sampling. The data is kept.
+     */
+    self.stop = function () {
+      clearInterval(timer);
+      timer = null;
+    };
+
+    /**
+     * @return {boolean}
+     */
+    self.isRecording = function () {
+      return timer !== null;
+    };
+
+    /**
+     * Throw away the data.
+     */
+    self.reset = function () {
+      bins.fill(0);
+      elements = {};
+      duration = 0;
+    };
+
+    /**
+     * Get the recorded data, which can be stored as JSON.
+     * Bins go row by row from the top left, i.e. the same as the pixels
+     * of an equirectangular image.
+     *
+     * @return {Object} Times in milliseconds
+     */
+    self.getData = function () {
+      const data = {
+        columns: columns,
+        rows: rows,
+        duration: Math.round(duration),
+        bins: Array.prototype.map.call(bins, Math.round),
+        elements: {}
+      };
+      for (const id in elements) {
+        data.elements[id] = {
+          inView: Math.round(elements[id].inView),
+          centered: Math.round(elements[id].centered)
+        };
+      }
+      return data;
+    };
+
+    /**
+     * Get a summary suitable for the result of an xAPI statement.
+     *
+     * @param {string} [extensionBase=http://h5p.org/x-api/] Start of the extension IRIs
+     * @return {Object}
+     */
+    self.getSummary = function (extensionBase) {
+      extensionBase = extensionBase || 'http://h5p.org/x-api/';
+
+      // Share of the sphere that has been looked at
+      let seen = 0;
+      let all = 0;
+      for (let i = 0; i < bins.length; i++) {
+        all += areas[i];
+        if (bins[i] >= seenThreshold) {
+          seen += areas[i];
+        }
+      }
+
+      const elementSeconds = {};
+      for (const id in elements) {
+        elementSeconds[id] = {
+          inView: Math.round(elements[id].inView / 100) / 10,
+          centered: Math.round(elements[id].centered / 100) / 10
+        };
+      }
+
+      const summary = {
+        duration: 'PT' + (Math.round(duration / 10) / 100) + 'S',
+        extensions: {}
+      };
+      summary.extensions[extensionBase + 'gaze-coverage'] = Math.round(seen / all * 100) / 100;
+      summary.extensions[extensionBase + 'gaze-elements'] = elementSeconds;
+      return summary;
+    };
+
+    /**
+     * Draw the bins as a heatmap, blue for little time and red for a lot.
+     *
+     * @param {HTMLCanvasElement} canvas
+     * @return {HTMLCanvasElement}
+     */
+    self.drawHeatmap = function (canvas) {
+      canvas.width = columns;
+      canvas.height = rows;
+      const context = canvas.getContext('2d');
+      const image = context.createImageData(columns, rows);
+
+      let max = 0;
+      for (let i = 0; i < bins.length; i++) {
+        max = Math.max(max, bins[i]);
+      }
+      for (let i = 0; i < bins.length; i++) {
+        const t = (max ? Math.sqrt(bins[i] / max) : 0); // Make short looks visible
+        image.data[i * 4] = clamp(1.5 - Math.abs(4 * t - 3), 0, 1) * 255;
+        image.data[i * 4 + 1] = clamp(1.5 - Math.abs(4 * t - 2), 0, 1) * 255;
+        image.data[i * 4 + 2] = clamp(1.5 - Math.abs(4 * t - 1), 0, 1) * 255;
+        image.data[i * 4 + 3] = (t > 0.01 ? (0.2 + 0.5 * t) * 255 : 0);
+      }
+      context.putImageData(image, 0, 0);
+      return canvas;
+    };
+
+    // The left edge is behind the center of the image, at yaw -270 degrees
+    for (let row = 0; row < rows; row++) {
+      const pitch = maxPitch - (row + 0.5) / rows * Math.PI;
+      for (let column = 0; column < columns; column++) {
+        const yaw = -Math.PI * 1.5 + (column + 0.5) / columns * pi2;
+        directions.push(setDirection(new THREE.Vector3(), yaw, pitch));
+        areas[row * columns + column] = Math.cos(pitch);
+      }
+    }
+  }
+
+  return GazeRecorder;
+})(H5P.EventDispatcher, H5P.ThreeJS, H5P.ThreeSixty);
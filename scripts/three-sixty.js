@@ -11,19 +11,340 @@ H5P.ThreeSixty = (function (EventDispatcher, THREE) {
   const maxPitch = Math.PI / 2;
   const pi2 = Math.PI * 2;
 
+  /**
+   * Keep value within the given bounds
+   * @return {number}
+   */
+  var clamp = function (value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  };
+
+  /**
+   * Get the shortest rotation from one angle to another
+   * @return {number} Radians from -PI to PI
+   */
+  var getAngleDelta = function (from, to) {
+    const delta = (to - from) % pi2;
+    return (delta > Math.PI ? delta - pi2 : (delta < -Math.PI ? delta + pi2 : delta));
+  };
+
+  /**
+   * Easing functions for animations. Progress goes from 0 to 1.
+   */
+  const easings = {
+    linear: function (t) {
+      return t;
+    },
+    easeInQuad: function (t) {
+      return t * t;
+    },
+    easeOutQuad: function (t) {
+      return t * (2 - t);
+    },
+    easeInOutQuad: function (t) {
+      return (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t);
+    },
+    easeInOutCubic: function (t) {
+      return (t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1);
+    }
+  };
+
+  /**
+   * Default texts for screen readers. Headings go clockwise from north.
+   */
+  const defaultL10n = {
+    headings: ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'],
+    up: 'looking up',
+    slightlyUp: 'looking slightly up',
+    level: 'looking straight ahead',
+    slightlyDown: 'looking slightly down',
+    down: 'looking down',
+    view: 'Facing :heading, :pitch',
+    newInView: 'Now in view: :elements',
+    inView: 'In view: :elements',
+    noneInView: 'Nothing in view',
+    separator: ', ',
+    resumeTour: 'Resume tour'
+  };
+
+  /**
+   * Default keyboard controls. Keys are KeyboardEvent key or code values.
+   * Actions: left, up, right, down, reset, zoomIn, zoomOut, nextElement,
+   * previousElement and listElements.
+   */
+  const defaultKeyBindings = {
+    ArrowLeft: 'left',
+    ArrowUp: 'up',
+    ArrowRight: 'right',
+    ArrowDown: 'down',
+    Left: 'left', // Old browsers
+    Up: 'up',
+    Right: 'right',
+    Down: 'down',
+    Numpad4: 'left',
+    Numpad8: 'up',
+    Numpad6: 'right',
+    Numpad2: 'down',
+    Home: 'reset',
+    PageUp: 'zoomIn',
+    PageDown: 'zoomOut',
+    '+': 'zoomIn',
+    '=': 'zoomIn',
+    Add: 'zoomIn',
+    '-': 'zoomOut',
+    Subtract: 'zoomOut',
+    n: 'nextElement',
+    N: 'previousElement',
+    l: 'listElements',
+    L: 'listElements'
+  };
+
+  /**
+   * Direction of the movement actions, as [x, y].
+   */
+  const keyMovements = {
+    left: [1, 0],
+    up: [0, 1],
+    right: [-1, 0],
+    down: [0, -1]
+  };
+
+  const keyStep = toRad(2); // Moved right away when pressing a movement key
+  const keySpeed = toRad(45); // Per second when starting to hold down a movement key
+  const keyMaxSpeed = toRad(150);
+  const keyAccelerationTime = 1500; // Milliseconds to reach max speed
+
+  const dragThreshold = 10; // Pixels a pointer can move and still be a tap or click
+
+  /**
+   * Get the transform of an element shown as part of the scene, relative
+   * to facing the camera.
+   *
+   * @param {Object} surface See the settings of ThreeSixty.add
+   * @return {THREE.Matrix4}
+   */
+  var getSurfaceMatrix = function (surface) {
+    const rotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(surface.pitch || 0, surface.yaw || 0, surface.roll || 0, 'YXZ'));
+    const scale = (surface.scale !== undefined ? surface.scale : 1);
+    return new THREE.Matrix4().compose(new THREE.Vector3(), rotation, new THREE.Vector3(scale, scale, scale));
+  };
+
+  /**
+   * Get something that identifies the source when stored, i.e. its id or URL.
+   * @return {string}
+   */
+  var getSourceId = function (source) {
+    if (!source) {
+      return;
+    }
+    if (source.id) {
+      return source.id;
+    }
+    if (source.currentSrc || source.src) {
+      return source.currentSrc || source.src;
+    }
+    if (typeof source.url === 'string') {
+      return source.url; // Tiles
+    }
+    return getSourceId(source.image || (source.faces && source.faces.front)); // Cube map
+  };
+
+  /**
+   * Check if the user is typing in the element.
+   * @return {boolean}
+   */
+  var isTextInput = function (element) {
+    return !!(element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].indexOf(element.tagName) !== -1);
+  };
+
+  /**
+   * Distance from the camera to the elements in the "CSS world".
+   */
+  const elementRadius = 800;
+
+  /**
+   * Available projections. Distance is how far behind the center of the
+   * sphere the camera is placed, relative to the radius. 0 gives a
+   * rectilinear (perspective) view and 1 a stereographic view.
+   */
+  const projections = {
+    perspective: {
+      distance: 0
+    },
+    fisheye: {
+      distance: 0.5,
+      fov: 120,
+      maxFov: 150
+    },
+    stereographic: { // Little planet
+      distance: 0.95,
+      fov: 130,
+      maxFov: 160,
+      pitch: -maxPitch
+    },
+    'equirectangular-flat': {
+      distance: 0,
+      flat: true
+    }
+  };
+
+  /**
+   * Cube faces in the order of the cube geometry's material groups after
+   * it has been flipped inside out.
+   */
+  const cubeFaces = ['left', 'right', 'up', 'down', 'back', 'front'];
+
+  /**
+   * Position of each face in single image layouts, as [column, row].
+   */
+  const cubeLayouts = {
+    cross: { // 4x3 horizontal cross
+      columns: 4,
+      rows: 3,
+      up: [1, 0],
+      left: [0, 1],
+      front: [1, 1],
+      right: [2, 1],
+      back: [3, 1],
+      down: [1, 2]
+    },
+    strip: { // 6x1 horizontal strip
+      columns: 6,
+      rows: 1,
+      right: [0, 0],
+      left: [1, 0],
+      up: [2, 0],
+      down: [3, 0],
+      front: [4, 0],
+      back: [5, 0]
+    }
+  };
+
+  /**
+   * Check if the source is a cube map.
+   * @return {boolean}
+   */
+  var isCubemap = function (source) {
+    return !!(source && source.type === 'cubemap');
+  };
+
+  /**
+   * Check if the source is split into tiles.
+   * @return {boolean}
+   */
+  var isTiled = function (source) {
+    return !!(source && source.type === 'tiles');
+  };
+
+  /**
+   * Get the face images of a cube map source in geometry order. Single
+   * image layouts are cut into one canvas per face.
+   *
+   * @param {Object} source
+   * @return {Array}
+   */
+  var getCubemapFaces = function (source) {
+    if (source.faces) {
+      return cubeFaces.map(function (face) {
+        return source.faces[face];
+      });
+    }
+
+    const layout = cubeLayouts[source.layout || 'cross'];
+    const width = source.image.naturalWidth || source.image.videoWidth || source.image.width;
+    const height = source.image.naturalHeight || source.image.videoHeight || source.image.height;
+    const vertical = (layout.rows === 1 && width < height); // Vertical strip, columns become rows
+    const size = (vertical ? width / layout.rows : width / layout.columns);
+
+    return cubeFaces.map(function (face) {
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = size;
+      const column = layout[face][vertical ? 1 : 0];
+      const row = layout[face][vertical ? 0 : 1];
+      canvas.getContext('2d').drawImage(source.image, column * size, row * size, size, size, 0, 0, size, size);
+      return canvas;
+    });
+  };
+
+  /**
+   * Check if the source is a video that is playing.
+   * @return {boolean}
+   */
+  var isPlaying = function (source) {
+    return !!(source && source.play && !source.paused && !source.ended);
+  };
+
+  /**
+   * Create a texture from an image, video or canvas.
+   * @return {THREE.Texture}
+   */
+  var createTexture = function (source) {
+    const texture = new THREE.Texture(source, THREE.UVMapping, THREE.ClampToEdgeWrapping, THREE.ClampToEdgeWrapping, THREE.LinearFilter, THREE.LinearFilter, THREE.RGBFormat);
+    texture.needsUpdate = true;
+    return texture;
+  };
+
+  /**
+   * Create a WebGL renderer, or a 2D canvas renderer when WebGL is
+   * unavailable, e.g. due to GPU blocklists.
+   * @return {THREE.WebGLRenderer|H5P.ThreeSixty.FallbackRenderer}
+   */
+  var createRenderer = function () {
+    try {
+      return new THREE.WebGLRenderer();
+    }
+    catch (err) {
+      return new ThreeSixty.FallbackRenderer();
+    }
+  };
+
   /**
    * The 360 degree panorama viewer with support for virtual reality.
    *
    * @class H5P.ThreeSixty
    * @extends H5P.EventDispatcher
-   * @param {DOMElement} sourceElement video or image source
+   * @param {DOMElement|Object} sourceElement video or image source
+   * @param {string} sourceElement.type 'cubemap' when using six cube faces instead of an equirectangular source,
+   *   or 'tiles' for a multi-resolution cube split into tiles
+   * @param {Object} [sourceElement.faces] Image or canvas for each of front, back, left, right, up and down
+   * @param {DOMElement} [sourceElement.image] Single image with all the faces, used when faces is not set
+   * @param {string} [sourceElement.layout=cross] 'cross' (4x3) or 'strip' (6x1 or 1x6: right, left, up, down, front, back)
+   * @param {Object[]} [sourceElement.levels] 'tiles' type only. Lowest detail first
+   * @param {number} sourceElement.levels[].size Width of cube face in pixels
+   * @param {number} [sourceElement.levels[].tileSize] Overrides tileSize
+   * @param {number} [sourceElement.tileSize=512] Width of tiles in pixels
+   * @param {string|Function} [sourceElement.url] Template with {level}, {face}, {x} and {y},
+   *   or function (level, face, x, y) returning URL, image, canvas or a Promise of one
+   * @param {Object} [sourceElement.faceNames] Name to use for each face in URL, e.g. {front: 'f'}
    * @param {Object} options
    * @param {number} options.ratio Display ratio of the viewport
    * @param {Object} options.cameraStartPosition
    * @param {number} options.cameraStartPosition.yaw 0 = Center of image
    * @param {number} options.cameraStartPosition.pitch 0 = Center of image
    * @param {number} options.segments
+   * @param {number} [options.fieldOfView=75] Initial vertical field of view in degrees
+   * @param {number} [options.minFieldOfView=30] Max zoom in
+   * @param {number} [options.maxFieldOfView=90] Max zoom out
+   * @param {Object} [options.stereo] Start in split-screen mode, see setStereoMode
+   * @param {number|boolean} [options.inertia] Let the camera glide after dragging, see setInertia
+   * @param {Object} [options.focusTransition] Animate the camera to elements when tabbing, see flyTo settings
+   * @param {Object|boolean} [options.autoRotate] Pan the camera when idle, see startAutoRotate
+   * @param {Object} [options.coverage] Part of the sphere covered by partial panoramas
+   * @param {number} [options.coverage.horizontal=360] Degrees
+   * @param {number} [options.coverage.vertical] Degrees, calculated from the source size if not set
+   * @param {boolean} [options.coverage.cylindrical] Source uses cylindrical instead of equirectangular projection
+   * @param {Object} [options.limits] Restrict where the camera can look, see setCameraLimits
+   * @param {string} [options.projection=perspective] See setProjection
+   * @param {string} [options.stereoLayout] Source has both eyes, see setStereoLayout
+   * @param {number} [options.viewMargin=0] Pixels outside the viewport where elements still count as in view
+   * @param {boolean} [options.cullElements] Hide elements out of view. Note that hidden elements cannot be focused.
+   * @param {Object|boolean} [options.announcements] Tell screen readers where the camera is facing, see setAnnouncements
+   * @param {number} [options.north] Yaw of the north heading, defaults to the center of the image
+   * @param {Object} [options.keyBindings] Change the keyboard controls, see setKeyBindings
+   * @param {Object|boolean} [options.gaze] Start recording where the user looks, see H5P.ThreeSixty.GazeRecorder for settings
    * @param {Function} [sourceNeedsUpdate] Determines if the source texture needs to be rerendered.
+   *   Called with the source before each frame. Defaults to checking if the source is a playing video.
+   *   Frames are drawn continuously only while a video plays, use updateSource for other changes.
    */
   function ThreeSixty(sourceElement, options, sourceNeedsUpdate) {
     /** @alias H5P.ThreeSixty# */
@@ -33,7 +354,10 @@ H5P.ThreeSixty = (function (EventDispatcher, THREE) {
     EventDispatcher.call(self);
 
     // Settings
-    const fieldOfView = 75;
+    const minFieldOfView = options.minFieldOfView ? options.minFieldOfView : 30;
+    const maxFieldOfView = options.maxFieldOfView ? options.maxFieldOfView : 90;
+    const fieldOfView = clamp(options.fieldOfView ? options.fieldOfView : 75, minFieldOfView, maxFieldOfView);
+    const zoomStep = 1.1; // Multiplier applied for each wheel notch or key press
     const near = 0.1;
     const far = 1000;
     let ratio = options.ratio ? options.ratio : 16 / 9;
@@ -42,12 +366,6 @@ H5P.ThreeSixty = (function (EventDispatcher, THREE) {
     self.element = document.createElement('div');
     self.element.classList.add('h5p-three-sixty');
 
-    // TODO: ThreeSixty should not have to deal with this, this belongs in a
-    // a separate collection/array class. (ThreeSixty should just add or remove
-    // elements from the 3d world, not keep an indexed mapping for the
-    // consumer/user of this library.)
-    const threeElements = [];
-
     /**
      * Help set up renderers and add them to the main wrapper element.
      *
@@ -60,6 +378,37 @@ H5P.ThreeSixty = (function (EventDispatcher, THREE) {
       return renderer;
     };
 
+    const listeners = []; // Removed when destroyed
+
+    /**
+     * Add an event listener which is removed when destroyed.
+     *
+     * @private
+     * @param {EventTarget} target
+     * @param {string} type
+     * @param {Function} listener
+     * @param {Object|boolean} [listenerOptions]
+     */
+    const listen = function (target, type, listener, listenerOptions) {
+      target.addEventListener(type, listener, listenerOptions);
+      listeners.push([target, type, listener, listenerOptions]);
+    };
+
+    let rendering = false;
+    let renderLoopId = null;
+
+    /**
+     * Draw the scene again on the next frame. Frames are only drawn when
+     * something has changed, this is needed after changing things the
+     * viewer does not know about.
+     */
+    self.requestRender = function () {
+      if (rendering && renderLoopId === null) {
+        renderLoopId = requestAnimationFrame(render);
+      }
+    };
+    const requestRender = self.requestRender;
+
     /**
      * Set the label for the application element (camera controls).
      * Needed to be compatible with assitive tools.
@@ -68,7 +417,7 @@ H5P.ThreeSixty = (function (EventDispatcher, THREE) {
      */
    self.setAriaLabel = function (label) {
       cssRenderer.domElement.setAttribute('aria-label', label);
-      cssRenderer.domElement.setAttribute('aria-role', 'document'); // TODO: Separate setting?
+      cssRenderer.domElement.setAttribute('role', 'application'); // Lets the keys reach the controls
     };
 
     /**
@@ -107,426 +456,3083 @@ H5P.ThreeSixty = (function (EventDispatcher, THREE) {
      * @param {number} pitch Vertical angle
      */
     self.setCameraPosition = function (yaw, pitch) {
+      self.stopFlying();
       if (preventDeviceOrientation) {
         return; // Prevent other codes from setting position while the user is dragging
       }
+      const previousPitch = camera.rotation.x;
       camera.rotation.y = -yaw;
       camera.rotation.x = pitch;
+      clampCamera();
+      yaw = -camera.rotation.y;
+      pitch = camera.rotation.x;
+
+      if (deviceOrientationEnabled) {
+        // Make the device heading point in the new direction
+        orientationPitchOffset += pitch - previousPitch;
+        alignHeading = -yaw;
+        updateCameraOrientation();
+      }
+      requestRender();
       self.trigger('movestop', { // TODO: Figure out why this is here and what it does
         pitch: pitch,
         yaw: yaw,
       });
     };
 
-    // Create scene, add camera and a WebGL renderer
-    var scene = new THREE.Scene();
-    var camera = new THREE.PerspectiveCamera(fieldOfView, ratio, near, far);
-    camera.rotation.order = 'YXZ';
-
-    const camPos = options.cameraStartPosition || {};
-    self.setCameraPosition(
-      camPos.yaw !== undefined ? camPos.yaw : -(Math.PI * (2/3)),
-      camPos.pitch !== undefined ? camPos.pitch : 0
-    );
-    const radius = 10;
-    let segmentation = options.segments || 4;
+    // Current state of the projection, changes gradually when switching
+    const projection = {
+      name: 'perspective',
+      distance: 0,
+      flat: 0
+    };
 
-    let sphere, renderLoopId = null;
+    let cameraLimits = options.limits || {}; // Set by the user
+    let sourceLimits = {}; // Edges of partial panoramas
 
     /**
-     * Create the world sphere with its needed resources.
+     * Get the edges the camera is not allowed to see past.
+     *
      * @private
+     * @return {Object}
      */
-    const createSphere = function () {
-      // Create a sphere surrounding the camera with the source texture
-      const geometry = new THREE.SphereGeometry(radius, segmentation, segmentation);
-
-      // Create material with texture from source element
-      const material = new THREE.MeshBasicMaterial({
-        map: new THREE.Texture(sourceElement, THREE.UVMapping, THREE.ClampToEdgeWrapping, THREE.ClampToEdgeWrapping, THREE.LinearFilter, THREE.LinearFilter, THREE.RGBFormat)
+    const getLimits = function () {
+      const limits = {
+        pitchMin: -maxPitch,
+        pitchMax: maxPitch
+      };
+      ['yawMin', 'yawMax', 'pitchMin', 'pitchMax'].forEach(function (limit) {
+        if (cameraLimits[limit] !== undefined) {
+          limits[limit] = cameraLimits[limit];
+        }
+        else if (sourceLimits[limit] !== undefined) {
+          limits[limit] = sourceLimits[limit];
+        }
       });
-      material.map.needsUpdate = true;
-
-      // Prepare sphere and add to scene
-      sphere = new THREE.Mesh(geometry, material);
-      geometry.scale(-1, 1, 1); // Flip to make front side face inwards
-      scene.add(sphere);
+      return limits;
     };
 
     /**
-     * Remove sphere resources from memory.
+     * Get the horizontal field of view of the camera.
+     *
      * @private
+     * @param {number} fov Vertical field of view in degrees
+     * @return {number} Radians
      */
-    const disposeSphere = function () {
-      scene.remove(sphere);
-      sphere.geometry.dispose();
-      sphere.material.dispose();
-      sphere.material.map.dispose();
-      sphere = null;
+    const getHorizontalFov = function (fov) {
+      return 2 * Math.atan(Math.tan(toRad(fov) / 2) * camera.aspect);
     };
 
-    var renderer = add(new THREE.WebGLRenderer());
+    /**
+     * Keep the pitch within the bounds of the current field of view so that
+     * the camera never sees past the poles or the limits.
+     *
+     * @private
+     * @param {number} pitch
+     * @return {number}
+     */
+    const clampPitch = function (pitch) {
+      const limits = getLimits();
+      // The sphere is seen from the outside of its center when the camera is moved back
+      const radsFromCameraCenter = (projection.distance ? 0 : toRad(camera.fov) / 2);
+      if (limits.pitchMax - limits.pitchMin <= radsFromCameraCenter * 2) {
+        return (limits.pitchMin + limits.pitchMax) / 2; // Everything is in view
+      }
+      return clamp(pitch, limits.pitchMin + radsFromCameraCenter, limits.pitchMax - radsFromCameraCenter);
+    };
 
-    // Create a scene for our "CSS world"
-    var cssScene = new THREE.Scene();
+    /**
+     * Keep the yaw within the bounds of the current field of view so that
+     * the camera never sees past the limits.
+     *
+     * @private
+     * @param {number} yaw
+     * @return {number}
+     */
+    const clampYaw = function (yaw) {
+      const limits = getLimits();
+      if (limits.yawMin === undefined || limits.yawMax === undefined) {
+        return yaw; // Full circle
+      }
 
-    var cssRenderer = add(new THREE.CSS2DRenderer);
+      // Find the yaw closest to the center of the limits
+      const center = (limits.yawMin + limits.yawMax) / 2;
+      yaw = center + getAngleDelta(center, yaw);
 
-    // Prevent internal scrolling in the CSS 3d world.
-    cssRenderer.domElement.addEventListener('scroll', function (e) {
-      if (this.scrollTop !== 0 || this.scrollLeft !== 0) {
-        // Reset the scroll before the scene gets a chance to render
-        this.scrollTo(0, 0);
+      const radsFromCameraCenter = getHorizontalFov(camera.fov) / 2;
+      if (limits.yawMax - limits.yawMin <= radsFromCameraCenter * 2) {
+        return center; // Everything is in view
       }
-    });
+      return clamp(yaw, limits.yawMin + radsFromCameraCenter, limits.yawMax - radsFromCameraCenter);
+    };
 
     /**
-     * Start rendering scene
+     * Keep the camera within the limits.
+     *
+     * @private
      */
-    self.startRendering = function () {
-      if (renderLoopId === null) { // Prevents double rendering
-        render();
+    const clampCamera = function () {
+      camera.rotation.y = -clampYaw(-camera.rotation.y);
+      camera.rotation.x = clampPitch(camera.rotation.x);
+    };
+
+    /**
+     * Get the widest field of view that fits inside the limits.
+     *
+     * @private
+     * @return {number} Degrees
+     */
+    const getMaxFov = function () {
+      if (projection.maxFov) {
+        return projection.maxFov; // Wide angle projections show more
+      }
+
+      const limits = getLimits();
+      let fov = Math.min(maxFieldOfView, (limits.pitchMax - limits.pitchMin) * 180 / Math.PI);
+      if (limits.yawMin !== undefined && limits.yawMax !== undefined) {
+        const horizontal = Math.min(limits.yawMax - limits.yawMin, Math.PI * 0.99);
+        fov = Math.min(fov, 2 * Math.atan(Math.tan(horizontal / 2) / camera.aspect) * 180 / Math.PI);
       }
+      return Math.max(fov, minFieldOfView);
     };
 
     /**
-     * Stop rendering scene
+     * Restrict where the camera can look. Radians, same as the camera position.
+     * Partial panoramas are limited to their coverage by default.
+     *
+     * @param {Object} limits
+     * @param {number} [limits.yawMin]
+     * @param {number} [limits.yawMax]
+     * @param {number} [limits.pitchMin]
+     * @param {number} [limits.pitchMax]
      */
-    self.stopRendering = function () {
-      cancelAnimationFrame(renderLoopId);
-      renderLoopId = null;
+    self.setCameraLimits = function (limits) {
+      cameraLimits = limits || {};
+      applyLimits();
     };
 
     /**
-     * Change the number of segments used to create the sphere.
-     * Note: Rendering has to be stopped and started again for these changes
-     * to take affect. (Due to memory management)
-     * @param {number} numSegments
+     * Get the edges the camera is not allowed to see past.
+     *
+     * @return {Object}
      */
-    self.setSegmentNumber = function (numSegments) {
-      segmentation = numSegments;
+    self.getCameraLimits = function () {
+      return getLimits();
     };
 
     /**
-     * Change the sourceElement of the world sphere.
-     * Useful for changing scenes.
-     * @param {DOMElement} element video or image source
+     * Make the camera obey changed limits.
+     *
+     * @private
      */
-    self.setSourceElement = function (element) {
-      sourceElement = element;
+    const applyLimits = function () {
+      if (camera.fov > getMaxFov()) {
+        self.setFov(camera.fov);
+      }
+      clampCamera();
+      requestRender();
     };
 
     /**
-     * Will re-create the world sphere. Useful after changing sourceElement
-     * or segment number.
+     * Set the vertical field of view of the camera, i.e. zoom in or out.
      *
-     * Note that this will have to be called initally to create the sphere as
-     * well to allow for full control.
+     * @param {number} fov Degrees, kept within the min and max field of view
      */
-    self.update = function () {
-      if (sphere) {
-        disposeSphere();
+    self.setFov = function (fov) {
+      fov = clamp(fov, minFieldOfView, getMaxFov());
+      if (fov === camera.fov) {
+        return;
       }
-      createSphere();
-      triggerFirstRenderEvent = true;
-    }
 
-    let triggerFirstRenderEvent;
+      camera.fov = fov;
+      camera.updateProjectionMatrix();
+
+      // A wider view may now reach past the poles
+      clampCamera();
+      requestRender();
+
+      self.trigger('zoom', {
+        fov: fov
+      });
+    };
 
     /**
-     * Triggers a redraw of texture fetched from the sourceElement.
-     * This is useful in case the source has changed.
+     * Get the vertical field of view of the camera.
+     *
+     * @return {number} Degrees
      */
-    self.updateSource = function () {
-      sphere.material.map.needsUpdate = true;
+    self.getFov = function () {
+      return camera.fov;
     };
 
     /**
-     * Add element to "CSS 3d world"
+     * Zoom in or out relative to the current field of view.
      *
-     * @param {DOMElement} element
-     * @param {Object} startPosition
-     * @param {boolean} enableControls
+     * @private
+     * @param {number} steps Positive zooms in, negative zooms out
      */
-    self.add = function (element, startPosition, enableControls) {
-      var threeElement = new THREE.CSS2DObject(element);
-      threeElements.push(threeElement);
+    const zoom = function (steps) {
+      pauseAutoRotate();
+      interruptTour();
+      self.stopFlying();
+      self.setFov(camera.fov / Math.pow(zoomStep, steps));
+    };
 
-      // Reset HUD values
-      element.style.left = 0;
-      element.style.top = 0;
+    var flight = null; // The ongoing camera animation
 
-      if (enableControls) {
-        var elementControls = new PositionControls(self, element);
+    /**
+     * Check if the user has asked for less animation.
+     *
+     * @private
+     * @return {boolean}
+     */
+    const prefersReducedMotion = function () {
+      return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    };
 
-        // Relay and supplement startMoving event
-        elementControls.on('movestart', function (event) {
-          // Set camera start position
-          elementControls.startY = -threeElement.rotation.y;
-          elementControls.startX = threeElement.rotation.x;
+    /**
+     * Run an animation, one step per frame. The first step is taken right
+     * away, and the animation is no longer running during the last step.
+     *
+     * @private
+     * @param {number} duration Milliseconds
+     * @param {Function} onStep Called with the eased and the linear progress, from 0 to 1
+     * @param {Function} [easing=easeInOutCubic]
+     * @return {Object} With a promise resolving true when done or false if stopped, stop() and isRunning()
+     */
+    const animate = function (duration, onStep, easing) {
+      easing = easing || easings.easeInOutCubic;
+      const startTime = performance.now();
+      let frameId = null;
+      let resolve = null; // Set while running
 
-          preventDeviceOrientation = true;
-          self.trigger(event);
-        });
+      const animation = {
+        promise: new Promise(function (res) {
+          resolve = res;
+        }),
+        stop: function () {
+          if (!resolve) {
+            return;
+          }
+          cancelAnimationFrame(frameId);
+          const done = resolve;
+          resolve = null;
+          done(false);
+        },
+        isRunning: function () {
+          return resolve !== null;
+        }
+      };
 
-        // Update element position according to movement
-        elementControls.on('move', function (event) {
-          ThreeSixty.setElementPosition(threeElement, {
-            yaw: elementControls.startY + event.alpha,
-            pitch: elementControls.startX - event.beta
-          });
-        });
+      /**
+       * @private
+       */
+      const step = function () {
+        const progress = (duration > 0 ? Math.min((performance.now() - startTime) / duration, 1) : 1);
+        if (progress < 1) {
+          frameId = requestAnimationFrame(step);
+          onStep(easing(progress), progress);
+          return;
+        }
 
-        // Relay and supplement stopMoving event
-        elementControls.on('movestop', function (event) {
-          event.data = {
-            target: element,
-            yaw: -threeElement.rotation.y,
-            pitch: threeElement.rotation.x
-          };
+        const done = resolve;
+        resolve = null;
+        onStep(easing(progress), progress);
+        done(true);
+      };
+      step();
+
+      return animation;
+    };
+
+    /**
+     * Animate the camera to the given position and zoom level.
+     * User input will interrupt the animation.
+     *
+     * @param {Object} target
+     * @param {number} [target.yaw] Keeps current if not set
+     * @param {number} [target.pitch] Keeps current if not set
+     * @param {number} [target.fov] Keeps current if not set
+     * @param {Object} [settings]
+     * @param {number} [settings.duration=1000] Milliseconds, 0 if the user prefers reduced motion
+     * @param {string|Function} [settings.easing=easeInOutCubic] Name of easing or custom function
+     * @return {Promise} Resolves true when done or false if interrupted
+     */
+    self.flyTo = function (target, settings) {
+      self.stopFlying();
+      settings = settings || {};
+
+      const from = {
+        yaw: clampYaw(-camera.rotation.y),
+        pitch: camera.rotation.x,
+        fov: camera.fov
+      };
+      const to = {
+        fov: clamp(target.fov !== undefined ? target.fov : from.fov, minFieldOfView, getMaxFov())
+      };
+      if (getLimits().yawMin !== undefined) {
+        // Stay inside the limits instead of taking the shortest way around
+        to.yaw = (target.yaw !== undefined ? clampYaw(target.yaw) : from.yaw);
+      }
+      else {
+        to.yaw = from.yaw + (target.yaw !== undefined ? getAngleDelta(from.yaw, target.yaw) : 0);
+      }
+      to.pitch = (target.pitch !== undefined ? target.pitch : from.pitch);
+
+      const duration = (prefersReducedMotion() ? 0 : (settings.duration !== undefined ? settings.duration : 1000));
+      const easing = (typeof settings.easing === 'function' ? settings.easing : easings[settings.easing || 'easeInOutCubic']);
+
+      preventDeviceOrientation = true;
+      flight = animate(duration, function (t, progress) {
+        self.setFov(from.fov + (to.fov - from.fov) * t);
+        camera.rotation.y = -(from.yaw + (to.yaw - from.yaw) * t);
+        camera.rotation.x = from.pitch + (to.pitch - from.pitch) * t;
+        clampCamera();
+        requestRender();
+
+        self.trigger('flyprogress', {
+          progress: progress,
+          yaw: -camera.rotation.y,
+          pitch: camera.rotation.x,
+          fov: camera.fov
+        });
+
+        if (progress === 1) {
           preventDeviceOrientation = false;
-          self.trigger(event);
+          self.setCameraPosition(to.yaw, camera.rotation.x);
+        }
+      }, easing);
+      return flight.promise;
+    };
+
+    /**
+     * Interrupt the ongoing camera animation.
+     */
+    self.stopFlying = function () {
+      if (!flight || !flight.isRunning()) {
+        return;
+      }
+
+      preventDeviceOrientation = false;
+      flight.stop();
+    };
+
+    /**
+     * @return {boolean}
+     */
+    self.isFlying = function () {
+      return !!(flight && flight.isRunning());
+    };
+
+    let autoRotate = null; // Settings and state of the idle rotation
+
+    /**
+     * Pan the camera a little bit, called for each frame.
+     *
+     * @private
+     */
+    const autoRotateStep = function () {
+      const now = performance.now();
+      const elapsed = Math.min(now - autoRotate.lastFrame, 100); // Avoid jumps after inactive tabs
+      autoRotate.lastFrame = now;
+      requestRender(); // Next step
+
+      if (self.isFlying() || preventDeviceOrientation || deviceOrientationEnabled || (tour && tour.playing)) {
+        return; // Camera is controlled by something else
+      }
+
+      const yaw = (camera.rotation.y - autoRotate.direction * autoRotate.speed * elapsed / 1000) % pi2;
+      camera.rotation.y = yaw;
+
+      // Ease back to the horizon, halfway every second
+      camera.rotation.x *= Math.pow(0.5, elapsed / 1000);
+
+      clampCamera();
+      if (Math.abs(getAngleDelta(yaw, camera.rotation.y)) > 0.000001) {
+        autoRotate.direction *= -1; // Turn around at the limits
+      }
+    };
+
+    /**
+     * Start panning unless the user is busy or prefers reduced motion.
+     *
+     * @private
+     */
+    const resumeAutoRotate = function () {
+      autoRotate.timeoutId = null;
+      if (cameraControls.isMoving()) {
+        autoRotate.timeoutId = setTimeout(resumeAutoRotate, autoRotate.idleTimeout);
+        return; // Wait for the user to finish
+      }
+
+      if (!autoRotate.active && !prefersReducedMotion()) {
+        autoRotate.active = true;
+        autoRotate.lastFrame = performance.now();
+        requestRender();
+      }
+    };
+
+    /**
+     * Stop panning while the user is in control, and start again once
+     * the user has been idle for a while.
+     *
+     * @private
+     */
+    const pauseAutoRotate = function () {
+      if (!autoRotate) {
+        return;
+      }
+
+      autoRotate.active = false;
+      clearTimeout(autoRotate.timeoutId);
+      autoRotate.timeoutId = setTimeout(resumeAutoRotate, autoRotate.idleTimeout);
+    };
+
+    /**
+     * Slowly pan the camera around when the user is idle.
+     * Will not pan if the user prefers reduced motion.
+     *
+     * @param {Object} [settings]
+     * @param {number} [settings.speed=3] Degrees per second
+     * @param {number} [settings.direction=1] 1 pans right, -1 pans left
+     * @param {number} [settings.idleTimeout=5000] Milliseconds without input before panning
+     */
+    self.startAutoRotate = function (settings) {
+      self.stopAutoRotate();
+      settings = settings || {};
+
+      autoRotate = {
+        speed: toRad(settings.speed !== undefined ? settings.speed : 3),
+        direction: (settings.direction === -1 ? -1 : 1),
+        idleTimeout: (settings.idleTimeout !== undefined ? settings.idleTimeout : 5000),
+        active: false, // Panning, driven by the render loop
+        timeoutId: null
+      };
+      resumeAutoRotate();
+    };
+
+    /**
+     * Stop panning the camera when the user is idle.
+     */
+    self.stopAutoRotate = function () {
+      if (!autoRotate) {
+        return;
+      }
+
+      clearTimeout(autoRotate.timeoutId);
+      autoRotate = null;
+    };
+
+    /**
+     * @return {boolean}
+     */
+    self.isAutoRotating = function () {
+      return !!(autoRotate && autoRotate.active);
+    };
+
+    // Create scene, add camera and a WebGL renderer
+    var scene = new THREE.Scene();
+    var camera = new THREE.PerspectiveCamera(fieldOfView, ratio, near, far);
+    camera.rotation.order = 'YXZ';
+    camera.layers.enable(1); // Left eye of stereo sources
+
+    const camPos = options.cameraStartPosition || {};
+    const startPosition = {
+      yaw: camPos.yaw !== undefined ? camPos.yaw : -(Math.PI * (2/3)),
+      pitch: camPos.pitch !== undefined ? camPos.pitch : 0
+    };
+    self.setCameraPosition(startPosition.yaw, startPosition.pitch);
+    const radius = 10;
+    let segmentation = options.segments || 4;
+
+    let sphere;
+    let tiledPanorama = null;
+    let stereoLayout = options.stereoLayout; // Both eyes in one source
+    let rightEyeSphere = null;
+
+    /**
+     * Create the world sphere with its needed resources.
+     * @private
+     */
+    const createSphere = function () {
+      sourceLimits = {}; // Full panorama unless covered partially
+
+      if (!hasWebGL && (isCubemap(sourceElement) || isTiled(sourceElement))) {
+        // Let the host show something else, the fallback renderer only draws equirectangular sources
+        self.trigger('unsupportedsource', {
+          source: sourceElement
+        });
+      }
+
+      if (isCubemap(sourceElement)) {
+        createCube();
+        return;
+      }
+      if (isTiled(sourceElement)) {
+        createTiles();
+        return;
+      }
+
+      // Create a sphere surrounding the camera with the source texture
+      const geometry = (options.coverage ? createPartialGeometry() : new THREE.SphereGeometry(radius, segmentation, segmentation));
+
+      // Create material with texture from source element
+      const material = new THREE.MeshBasicMaterial({
+        map: createTexture(sourceElement)
+      });
+
+      // Prepare sphere and add to scene
+      sphere = new THREE.Mesh(geometry, material);
+      geometry.scale(-1, 1, 1); // Flip to make front side face inwards
+      sphere.userData.panorama = getFlatRanges(); // Used by the fallback renderer
+      scene.add(sphere);
+
+      if (stereoLayout) {
+        // Show only the left eye unless rendering split-screen
+        setEyeTexture(material.map, 0);
+        sphere.layers.set(1);
+
+        rightEyeSphere = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+          map: setEyeTexture(createTexture(sourceElement), 1)
+        }));
+        rightEyeSphere.layers.set(2);
+        rightEyeSphere.userData.panorama = sphere.userData.panorama;
+        scene.add(rightEyeSphere);
+      }
+
+      if (sourceElement.addEventListener) {
+        watchSource(sourceElement, getSphereMaterials());
+      }
+    };
+
+    /**
+     * Draw the source again when a video starts playing or jumps to
+     * another frame while paused.
+     *
+     * @private
+     * @param {HTMLElement} source
+     * @param {THREE.Material[]} materials Using the source
+     */
+    const watchSource = function (source, materials) {
+      const changed = function () {
+        materials.forEach(function (material) {
+          material.map.needsUpdate = true;
+        });
+        requestRender();
+      };
+      const types = ['play', 'seeked', 'loadeddata'];
+      types.forEach(function (type) {
+        source.addEventListener(type, changed, false);
+      });
+
+      sphere.userData.unwatchSource = function () {
+        types.forEach(function (type) {
+          source.removeEventListener(type, changed, false);
+        });
+      };
+    };
+
+    /**
+     * Make the texture use only the given eye's part of a stereo source.
+     *
+     * @private
+     * @param {THREE.Texture} texture
+     * @param {number} eye 0 for left and 1 for right
+     * @return {THREE.Texture}
+     */
+    const setEyeTexture = function (texture, eye) {
+      if (stereoLayout === 'top-bottom') {
+        texture.repeat.set(1, 0.5);
+        texture.offset.set(0, eye === 0 ? 0.5 : 0); // Left eye on top
+      }
+      else {
+        texture.repeat.set(0.5, 1);
+        texture.offset.set(eye === 0 ? 0 : 0.5, 0); // Left eye to the left
+      }
+      return texture;
+    };
+
+    /**
+     * Create a geometry covering only the part of the sphere or cylinder
+     * that the source was captured from. The source is centered at the
+     * same place as the center of a full panorama.
+     *
+     * Will also limit the camera to the covered area.
+     *
+     * @private
+     * @return {THREE.Geometry}
+     */
+    const createPartialGeometry = function () {
+      const coverage = options.coverage;
+      const width = sourceElement.naturalWidth || sourceElement.videoWidth || sourceElement.width;
+      const height = sourceElement.naturalHeight || sourceElement.videoHeight || sourceElement.height;
+      const horizontal = toRad(clamp(coverage.horizontal || 360, 1, 360));
+      let sourceRatio = (width && height ? height / width : 0.5);
+      if (stereoLayout) {
+        // Use the size of a single eye
+        sourceRatio *= (stereoLayout === 'top-bottom' ? 0.5 : 2);
+      }
+
+      let vertical, geometry;
+      if (coverage.cylindrical) {
+        // Source height is relative to the arc length of the cylinder
+        vertical = (coverage.vertical ? toRad(clamp(coverage.vertical, 1, 179)) : 2 * Math.atan(horizontal * sourceRatio / 2));
+        geometry = new THREE.CylinderGeometry(radius, radius, 2 * radius * Math.tan(vertical / 2), segmentation, 1, true, Math.PI / 2 - horizontal / 2, horizontal);
+      }
+      else {
+        vertical = (coverage.vertical ? toRad(clamp(coverage.vertical, 1, 180)) : Math.min(horizontal * sourceRatio, Math.PI));
+        geometry = new THREE.SphereGeometry(radius, segmentation, segmentation, Math.PI - horizontal / 2, horizontal, Math.PI / 2 - vertical / 2, vertical);
+      }
+
+      sourceLimits = {
+        pitchMin: -vertical / 2,
+        pitchMax: vertical / 2
+      };
+      if (horizontal < pi2) {
+        sourceLimits.yawMin = -Math.PI / 2 - horizontal / 2;
+        sourceLimits.yawMax = -Math.PI / 2 + horizontal / 2;
+      }
+      applyLimits();
+
+      return geometry;
+    };
+
+    /**
+     * Create a cube surrounding the camera with one texture per face.
+     * Avoids the pinching at the poles of a sphere.
+     * @private
+     */
+    const createCube = function () {
+      // Faces as far out as the sphere, room for moving the camera back for the projections
+      const geometry = new THREE.BoxBufferGeometry(radius * 2, radius * 2, radius * 2);
+      geometry.scale(-1, 1, 1); // Flip to make front side face inwards
+
+      // Turn the up and down faces so that they line up with the front face
+      const uv = geometry.attributes.uv;
+      for (let i = 8; i < 16; i++) {
+        uv.setXY(i, 1 - uv.getX(i), 1 - uv.getY(i));
+      }
+
+      const materials = getCubemapFaces(sourceElement).map(function (face) {
+        return new THREE.MeshBasicMaterial({
+          map: createTexture(face)
         });
+      });
+
+      sphere = new THREE.Mesh(geometry, materials);
+      scene.add(sphere);
+    };
+
+    /**
+     * Create a cube made up of tiles which are loaded as they come into view.
+     * @private
+     */
+    const createTiles = function () {
+      tiledPanorama = new ThreeSixty.TiledPanorama(sourceElement, radius * 2); // Same size as createCube
+      tiledPanorama.on('tileerror', function (event) {
+        self.trigger(event); // Relay
+      });
+      tiledPanorama.on('tileloaded', requestRender);
+
+      sphere = tiledPanorama.object;
+      scene.add(sphere);
+    };
+
+    /**
+     * Get the materials of the world sphere. The cube has one per face.
+     * Tiles are handled separately.
+     * @private
+     * @return {THREE.Material[]}
+     */
+    const getSphereMaterials = function () {
+      if (tiledPanorama) {
+        return [];
+      }
+      if (rightEyeSphere) {
+        return [sphere.material, rightEyeSphere.material];
+      }
+      return (Array.isArray(sphere.material) ? sphere.material : [sphere.material]);
+    };
+
+    /**
+     * Remove sphere resources from memory.
+     * @private
+     */
+    const disposeSphere = function () {
+      scene.remove(sphere);
+      if (tiledPanorama) {
+        tiledPanorama.dispose();
+        tiledPanorama = null;
+        sphere = null;
+        return;
+      }
+      if (sphere.userData.unwatchSource) {
+        sphere.userData.unwatchSource();
+      }
+      sphere.geometry.dispose();
+      getSphereMaterials().forEach(function (material) {
+        material.dispose();
+        material.map.dispose();
+      });
+      if (rightEyeSphere) {
+        scene.remove(rightEyeSphere); // Shares geometry with sphere
+        rightEyeSphere = null;
+      }
+      sphere = null;
+    };
+
+    var renderer = add(createRenderer());
+    const hasWebGL = !(renderer instanceof ThreeSixty.FallbackRenderer);
+
+    let contextLost = null;
+
+    // Pause rendering until the context is back
+    listen(renderer.domElement, 'webglcontextlost', function (e) {
+      e.preventDefault(); // Allows the context to be restored
+      contextLost = {
+        wasRendering: rendering
+      };
+      self.stopRendering();
+      self.trigger('contextlost');
+    }, false);
+
+    // Rebuild the GPU resources and continue
+    listen(renderer.domElement, 'webglcontextrestored', function () {
+      const wasRendering = contextLost && contextLost.wasRendering;
+      contextLost = null;
+
+      stopSceneTransition();
+      if (sphere) {
+        disposeSphere();
+        createSphere();
+      }
+      if (stereo) {
+        self.setStereoMode(true, stereo.settings);
+      }
+
+      self.trigger('contextrestored');
+      if (wasRendering) {
+        self.startRendering();
+      }
+    }, false);
+
+    // Create a scene for our "CSS world"
+    var cssScene = new THREE.Scene();
+
+    var cssRenderer = add(new THREE.CSS2DRenderer);
+
+    // Prevent internal scrolling in the CSS 3d world.
+    listen(cssRenderer.domElement, 'scroll', function (e) {
+      if (this.scrollTop !== 0 || this.scrollLeft !== 0) {
+        // Reset the scroll before the scene gets a chance to render
+        this.scrollTo(0, 0);
+      }
+    });
+
+    /**
+     * Start rendering scene
+     */
+    self.startRendering = function () {
+      if (!rendering && !contextLost) { // Prevents double rendering
+        rendering = true;
+        render();
+      }
+    };
+
+    /**
+     * Stop rendering scene
+     */
+    self.stopRendering = function () {
+      rendering = false;
+      cancelAnimationFrame(renderLoopId);
+      renderLoopId = null;
+    };
+
+    /**
+     * Check if the panorama is rendered using WebGL. If not, a 2D canvas
+     * is used which only draws equirectangular sources, without
+     * perspective correction or lens distortion. Cube map and tiled
+     * sources are not drawn, 'unsupportedsource' is triggered for them.
+     *
+     * @return {boolean}
+     */
+    self.isWebGLAvailable = function () {
+      return hasWebGL;
+    };
+
+    /**
+     * Change the number of segments used to create the sphere.
+     * Note: Rendering has to be stopped and started again for these changes
+     * to take affect. (Due to memory management)
+     * @param {number} numSegments
+     */
+    self.setSegmentNumber = function (numSegments) {
+      segmentation = numSegments;
+    };
+
+    /**
+     * Change how the eyes are laid out in stereoscopic sources.
+     * Only the left eye is shown unless rendering split-screen.
+     * Note: update() has to be called for this to take effect.
+     *
+     * @param {string} [layout] 'top-bottom', 'side-by-side' or nothing for mono sources
+     */
+    self.setStereoLayout = function (layout) {
+      stereoLayout = layout;
+    };
+
+    /**
+     * Change the sourceElement of the world sphere.
+     * Useful for changing scenes, see also transitionTo.
+     * @param {DOMElement|Object} element video or image source, or cube map (see constructor)
+     */
+    self.setSourceElement = function (element) {
+      sourceElement = element;
+    };
+
+    /**
+     * Will re-create the world sphere. Useful after changing sourceElement
+     * or segment number.
+     *
+     * Note that this will have to be called initally to create the sphere as
+     * well to allow for full control.
+     */
+    self.update = function () {
+      stopSceneTransition();
+      if (sphere) {
+        disposeSphere();
+      }
+      createSphere();
+      triggerFirstRenderEvent = true;
+      requestRender();
+      stateChanged();
+
+      if (!isSourceReady(sourceElement)) {
+        // Build again when loaded, e.g. to cut the cube faces from a layout image
+        const source = sourceElement;
+        waitForSource(source).then(function () {
+          if (!destroyed && sourceElement === source) {
+            self.update();
+          }
+        }, function () {
+          // Nothing to show
+        });
+      }
+    }
+
+    let triggerFirstRenderEvent;
+    let sceneTransition = null;
+
+    /**
+     * Get the current world sphere and its related resources.
+     *
+     * @private
+     * @return {Object}
+     */
+    const getWorld = function () {
+      return {
+        sphere: sphere,
+        tiledPanorama: tiledPanorama,
+        rightEyeSphere: rightEyeSphere
+      };
+    };
+
+    /**
+     * Make the given world sphere current.
+     *
+     * @private
+     * @param {Object} world
+     */
+    const setWorld = function (world) {
+      sphere = world.sphere;
+      tiledPanorama = world.tiledPanorama;
+      rightEyeSphere = world.rightEyeSphere;
+    };
+
+    /**
+     * Make the world sphere (partly) transparent so that another can be
+     * seen through it.
+     *
+     * @private
+     * @param {number} opacity From 0 to 1
+     */
+    const setSphereOpacity = function (opacity) {
+      if (tiledPanorama) {
+        tiledPanorama.setOpacity(opacity); // Transparent tiles are drawn after the old world
+        return;
+      }
+      const transparent = (opacity < 1);
+      getSphereMaterials().forEach(function (material) {
+        if (material.transparent !== transparent) {
+          material.transparent = transparent;
+          material.depthWrite = !transparent;
+          material.depthTest = !transparent; // Cube corners reach outside the old sphere
+          material.needsUpdate = true;
+        }
+        material.opacity = opacity;
+      });
+    };
+
+    /**
+     * Get the images used by a cube map source.
+     *
+     * @private
+     * @param {Object} source
+     * @return {HTMLElement[]}
+     */
+    const getCubemapImages = function (source) {
+      return (source.faces ? cubeFaces.map(function (face) {
+        return source.faces[face];
+      }) : [source.image]);
+    };
+
+    /**
+     * Check if images and videos can be used as texture.
+     *
+     * @private
+     * @param {DOMElement|Object} source
+     * @return {boolean}
+     */
+    const isSourceReady = function (source) {
+      if (isTiled(source)) {
+        return true; // Tiles are loaded as needed
+      }
+      if (isCubemap(source)) {
+        return getCubemapImages(source).every(isSourceReady);
+      }
+      return !((source instanceof HTMLImageElement && !source.complete) ||
+        (source instanceof HTMLVideoElement && source.readyState < 2));
+    };
+
+    /**
+     * Wait for images and videos to be ready for use as texture.
+     *
+     * @private
+     * @param {DOMElement|Object} source
+     * @return {Promise}
+     */
+    const waitForSource = function (source) {
+      if (isCubemap(source)) {
+        return Promise.all(getCubemapImages(source).map(waitForSource));
+      }
+
+      return new Promise(function (resolve, reject) {
+        if (isSourceReady(source)) {
+          resolve();
+          return;
+        }
+        const loadEvent = (source instanceof HTMLVideoElement ? 'loadeddata' : 'load');
+
+        source.addEventListener(loadEvent, function () {
+          resolve();
+        }, {once: true});
+        source.addEventListener('error', function () {
+          reject(new Error('Unable to load source'));
+        }, {once: true});
+      });
+    };
+
+    /**
+     * Change to another source while blending from the old one, e.g. for
+     * moving between scenes. The old source is shown until the new has
+     * loaded.
+     *
+     * @param {DOMElement|Object} source See constructor
+     * @param {Object} [settings]
+     * @param {string} [settings.type=fade] 'fade' or 'zoom-blend'
+     * @param {number} [settings.duration=1000] Milliseconds
+     * @param {Object} [settings.targetPosition] Where to look in the new source, keeps direction if not set
+     * @return {Promise} Resolves true when done, false if interrupted. Rejects if the source fails to load.
+     */
+    self.transitionTo = function (source, settings) {
+      settings = settings || {};
+      stopSceneTransition();
+
+      const transition = {};
+      sceneTransition = transition;
+
+      return waitForSource(source).then(function () {
+        if (sceneTransition !== transition) {
+          return false; // Another transition has started
+        }
+
+        self.setSourceElement(source);
+        if (!sphere) {
+          self.update(); // Nothing to blend from
+          if (settings.targetPosition) {
+            self.setCameraPosition(settings.targetPosition.yaw, settings.targetPosition.pitch);
+          }
+          return true;
+        }
+
+        // Create the new world while keeping the old around
+        const oldWorld = getWorld();
+        createSphere();
+        triggerFirstRenderEvent = true;
+        transition.oldWorld = oldWorld;
+        transition.newWorld = getWorld();
+
+        // Turn the new sphere so that the target position is where the camera is looking
+        const startYaw = -camera.rotation.y;
+        const startPitch = camera.rotation.x;
+        const startFov = camera.fov;
+        const target = settings.targetPosition || {};
+        const turn = (target.yaw !== undefined ? target.yaw - startYaw : 0);
+        sphere.rotation.y = turn;
+        if (rightEyeSphere) {
+          rightEyeSphere.rotation.y = turn;
+        }
+        sphere.renderOrder = 1; // Draw on top of the old
+        setSphereOpacity(0);
+
+        const duration = (prefersReducedMotion() ? 0 : (settings.duration !== undefined ? settings.duration : 1000));
+
+        /**
+         * Finish the transition and throw away the old world.
+         * @private
+         */
+        transition.end = function () {
+          setWorld(transition.oldWorld);
+          disposeSphere();
+          setWorld(transition.newWorld);
+
+          // Turn the camera instead of the sphere
+          sphere.rotation.y = 0;
+          sphere.renderOrder = 0;
+          if (rightEyeSphere) {
+            rightEyeSphere.rotation.y = 0;
+          }
+          setSphereOpacity(1);
+          camera.rotation.y -= turn;
+          clampCamera();
+          if (settings.type === 'zoom-blend') {
+            camera.fov = startFov;
+            camera.updateProjectionMatrix();
+          }
+          requestRender();
+        };
+
+        transition.animation = animate(duration, function (t, progress) {
+          setSphereOpacity(t);
+          if (target.pitch !== undefined && !cameraControls.isMoving()) {
+            camera.rotation.x = startPitch + (target.pitch - startPitch) * t;
+          }
+          if (settings.type === 'zoom-blend') {
+            // Zoom in and back out while blending
+            camera.fov = startFov * (1 - 0.4 * Math.sin(progress * Math.PI));
+            camera.updateProjectionMatrix();
+          }
+          requestRender();
+
+          if (progress === 1) {
+            transition.end();
+            sceneTransition = null;
+            self.trigger('movestop', {
+              yaw: -camera.rotation.y,
+              pitch: camera.rotation.x
+            });
+          }
+        });
+        return transition.animation.promise;
+      });
+    };
+
+    /**
+     * Interrupt the change of source, skipping to the end.
+     *
+     * @private
+     */
+    const stopSceneTransition = function () {
+      const transition = sceneTransition;
+      if (!transition) {
+        return;
+      }
+
+      sceneTransition = null;
+      if (transition.animation) {
+        transition.animation.stop();
+        transition.end();
+      }
+    };
+
+    /**
+     * Triggers a redraw of texture fetched from the sourceElement.
+     * This is useful in case the source has changed.
+     */
+    self.updateSource = function () {
+      getSphereMaterials().forEach(function (material) {
+        material.map.needsUpdate = true;
+      });
+      requestRender();
+    };
+
+    /**
+     * Put the element into the "CSS 3d world".
+     *
+     * @private
+     * @param {Object} entry From element collection
+     * @param {Object} position
+     * @return {THREE.CSS2DObject|THREE.CSS3DObject}
+     */
+    const attachElement = function (entry, position) {
+      const element = entry.element;
+      const surface = (THREE.CSS3DRenderer ? entry.settings.surface : null);
+      var threeElement;
+      if (surface) {
+        getSurfaceRenderer();
+        threeElement = new THREE.CSS3DObject(element);
+        threeElement.userData.surface = getSurfaceMatrix(surface === true ? {} : surface);
+      }
+      else {
+        threeElement = new THREE.CSS2DObject(element);
+      }
+
+      // Reset HUD values
+      element.style.left = 0;
+      element.style.top = 0;
+
+      if (entry.enableControls) {
+        var elementControls = new PositionControls(self, element);
+        entry.controls = elementControls;
+
+        // Relay and supplement startMoving event
+        elementControls.on('movestart', function (event) {
+          // Set camera start position
+          elementControls.startY = -threeElement.rotation.y;
+          elementControls.startX = threeElement.rotation.x;
+
+          preventDeviceOrientation = true;
+          self.trigger(event);
+        });
+
+        // Update element position according to movement
+        elementControls.on('move', function (event) {
+          ThreeSixty.setElementPosition(threeElement, {
+            yaw: elementControls.startY + event.alpha,
+            pitch: elementControls.startX - event.beta
+          });
+          requestRender();
+        });
+
+        // Relay and supplement stopMoving event
+        elementControls.on('movestop', function (event) {
+          event.data = {
+            target: element,
+            yaw: -threeElement.rotation.y,
+            pitch: threeElement.rotation.x
+          };
+          preventDeviceOrientation = false;
+          self.trigger(event);
+          self.trigger('elementmoved', {
+            id: entry.id,
+            element: element,
+            yaw: event.data.yaw,
+            pitch: event.data.pitch
+          });
+        });
+
+        // Move camera to element when tabbing
+        entry.focusListener = function (e) {
+          if (!e.defaultPrevented) {
+            interruptTour();
+            if (options.focusTransition) {
+              self.flyTo({
+                yaw: -threeElement.rotation.y,
+                pitch: threeElement.rotation.x
+              }, options.focusTransition);
+            }
+            else {
+              self.setCameraPosition(-threeElement.rotation.y, threeElement.rotation.x);
+            }
+          }
+        };
+        element.addEventListener('focus', entry.focusListener, false);
+      }
+
+      // Set initial position
+      ThreeSixty.setElementPosition(threeElement, position);
+
+      cssScene.add(threeElement);
+      if (stereo) {
+        addStereoClone(threeElement);
+      }
+      return threeElement;
+    };
+
+    let surfaceRenderer = null; // For elements shown as part of the scene
+
+    /**
+     * Get the renderer for elements shown as part of the scene, created
+     * when first needed. It is placed inside the camera element so that
+     * events from the elements reach the camera controls.
+     *
+     * @private
+     * @return {THREE.CSS3DRenderer}
+     */
+    const getSurfaceRenderer = function () {
+      if (!surfaceRenderer) {
+        surfaceRenderer = new THREE.CSS3DRenderer();
+        surfaceRenderer.domElement.classList.add('h5p-three-sixty-surface');
+        cssRenderer.domElement.insertBefore(surfaceRenderer.domElement, cssRenderer.domElement.firstChild);
+        surfaceRenderer.setSize(self.element.clientWidth, self.element.clientHeight);
+      }
+      return surfaceRenderer;
+    };
+
+    /**
+     * Take the element out of the "CSS 3d world".
+     *
+     * @private
+     * @param {Object} entry From element collection
+     */
+    const detachElement = function (entry) {
+      if (entry.controls) {
+        entry.controls.destroy();
+        entry.element.removeEventListener('focus', entry.focusListener, false);
+      }
+      cssScene.remove(entry.threeElement);
+      if (stereo) {
+        removeStereoClone(entry.threeElement);
+      }
+    };
+
+    /**
+     * The elements in the "CSS 3d world", by id.
+     * @type {ElementCollection}
+     */
+    self.elements = new ElementCollection(attachElement, detachElement);
+    const threeElements = self.elements;
+    ['elementadded', 'elementremoved', 'elementmoved'].forEach(function (eventType) {
+      threeElements.on(eventType, function (event) {
+        requestRender();
+        self.trigger(event); // Relay
+      });
+    });
+
+    /**
+     * Add element to "CSS 3d world"
+     *
+     * @param {DOMElement} element
+     * @param {Object} startPosition
+     * @param {boolean} enableControls
+     * @param {string} [id] Identifies the element in the collection, generated if not set
+     * @param {Object} [settings]
+     * @param {Object|boolean} [settings.surface] Show the element as part of the scene, turning and scaling
+     *   with the camera instead of as an overlay. Requires THREE.CSS3DRenderer and is not shown in split-screen mode.
+     * @param {number} [settings.surface.yaw=0] Radians to turn the element sideways, e.g. for signs on walls
+     * @param {number} [settings.surface.pitch=0] Radians to tilt the element, e.g. for signs on the floor or ceiling
+     * @param {number} [settings.surface.roll=0] Radians to rotate the element
+     * @param {number} [settings.surface.scale=1] Size relative to the element's size at the distance of the elements
+     * @return {THREE.CSS2DObject|THREE.CSS3DObject}
+     */
+    self.add = function (element, startPosition, enableControls, id, settings) {
+      return threeElements.add(element, startPosition, enableControls, id, settings);
+    };
+
+    /**
+     * Remove element from "CSS world"
+     * @param {THREE.CSS3DObject|string} threeElement Or id
+     * @return {boolean} False if the element was not found
+     */
+    self.remove = function (threeElement) {
+      return threeElements.remove(threeElement);
+    };
+
+    /**
+     * Find the threeElement for the given element.
+     *
+     * @param {Element} element
+     * @return {THREE.CSS3DObject}
+     */
+    self.find = function (element) {
+      return threeElements.get(threeElements.getId(element));
+    };
+
+    /**
+     * Find the index of the given element.
+     *
+     * @param {Element} element
+     * @return {number}
+     */
+    self.indexOf = function (element) {
+      const index = threeElements.indexOf(element);
+      return (index === -1 ? undefined : index);
+    };
+
+    /**
+     * Get the position the camera is currently pointing at
+     *
+     * @return {Object}
+     */
+    self.getCurrentPosition = function () {
+      return {
+        yaw: -camera.rotation.y,
+        pitch: camera.rotation.x
+      };
+    };
+
+    /**
+     * TODO
+     */
+    self.getCurrentFov = function () {
+      return camera.getEffectiveFOV();
+    };
+
+    /**
+     * TODO
+     */
+    self.getElement = function () {
+      return self.element;
+    };
+
+    /**
+     * Give new size
+     */
+    self.resize = function (newRatio) {
+      if (!self.element.clientWidth) {
+        return;
+      }
+
+      if (newRatio) {
+        camera.aspect = newRatio;
+        camera.updateProjectionMatrix();
+      }
+      else {
+        newRatio = ratio; // Avoid replacing the original
+      }
+
+      // Resize main wrapping element
+      self.element.style.height = (self.element.clientWidth / newRatio) + 'px';
+
+      // Resize renderers
+      const width = self.element.clientWidth;
+      const height = self.element.clientHeight;
+      renderer.setSize(width, height);
+      if (stereo) {
+        // Each eye gets half of the screen
+        cssRenderer.setSize(width / 2, height);
+        stereo.cssRenderer.setSize(width / 2, height);
+        if (stereo.renderTarget) {
+          const pixelRatio = renderer.getPixelRatio();
+          stereo.renderTarget.setSize(width / 2 * pixelRatio, height * pixelRatio);
+        }
+      }
+      else {
+        cssRenderer.setSize(width, height);
+      }
+      if (surfaceRenderer) {
+        surfaceRenderer.setSize(width, height);
+      }
+      requestRender();
+    };
+
+    let stereo = null; // Resources for split-screen rendering
+
+    /**
+     * Create a copy of the element for the right eye's "CSS world".
+     *
+     * @private
+     * @param {THREE.CSS2DObject} threeElement
+     */
+    const addStereoClone = function (threeElement) {
+      if (threeElement.userData.surface) {
+        return; // Only shown for the left eye
+      }
+      const clone = threeElement.element.cloneNode(true);
+      clone.setAttribute('aria-hidden', 'true');
+      clone.removeAttribute('id');
+      clone.tabIndex = -1;
+
+      const stereoElement = new THREE.CSS2DObject(clone);
+      stereoElement.userData.observer = new MutationObserver(function () {
+        // Keep the copy up to date with changes to the original
+        clone.className = threeElement.element.className;
+        clone.innerHTML = threeElement.element.innerHTML;
+      });
+      stereoElement.userData.observer.observe(threeElement.element, {
+        attributes: true,
+        attributeFilter: ['class'],
+        childList: true,
+        characterData: true,
+        subtree: true
+      });
+      threeElement.userData.stereoElement = stereoElement;
+      if (threeElement.parent) { // Not culled
+        stereo.cssScene.add(stereoElement);
+      }
+    };
+
+    /**
+     * Remove the right eye's copy of the element.
+     *
+     * @private
+     * @param {THREE.CSS2DObject} threeElement
+     */
+    const removeStereoClone = function (threeElement) {
+      const stereoElement = threeElement.userData.stereoElement;
+      if (!stereoElement) {
+        return;
+      }
+      stereoElement.userData.observer.disconnect();
+      stereo.cssScene.remove(stereoElement);
+      if (stereoElement.element.parentNode) {
+        stereoElement.element.parentNode.removeChild(stereoElement.element);
+      }
+      delete threeElement.userData.stereoElement;
+    };
+
+    /**
+     * Create the resources needed to correct lens distortion.
+     * Each eye is rendered to a texture which is then drawn onto a
+     * quad with barrel distortion.
+     *
+     * @private
+     * @param {Object} distortion
+     */
+    const createDistortion = function (distortion) {
+      stereo.renderTarget = new THREE.WebGLRenderTarget(1, 1, {
+        minFilter: THREE.LinearFilter,
+        magFilter: THREE.LinearFilter,
+        format: THREE.RGBFormat
+      });
+
+      stereo.distortionCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+      stereo.distortionScene = new THREE.Scene();
+      stereo.distortionScene.add(new THREE.Mesh(new THREE.PlaneBufferGeometry(2, 2), new THREE.ShaderMaterial({
+        uniforms: {
+          map: {value: stereo.renderTarget.texture},
+          k1: {value: distortion.k1 !== undefined ? distortion.k1 : 0.22},
+          k2: {value: distortion.k2 !== undefined ? distortion.k2 : 0.24}
+        },
+        vertexShader: [
+          'varying vec2 vUv;',
+          'void main() {',
+          '  vUv = uv;',
+          '  gl_Position = vec4(position.xy, 0.0, 1.0);',
+          '}'
+        ].join('\n'),
+        fragmentShader: [
+          'uniform sampler2D map;',
+          'uniform float k1;',
+          'uniform float k2;',
+          'varying vec2 vUv;',
+          'void main() {',
+          '  vec2 c = vUv * 2.0 - 1.0;',
+          '  float r2 = dot(c, c);',
+          '  vec2 uv = c * (1.0 + k1 * r2 + k2 * r2 * r2) / (1.0 + k1 + k2) * 0.5 + 0.5;',
+          '  if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {',
+          '    gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);',
+          '  }',
+          '  else {',
+          '    gl_FragColor = texture2D(map, uv);',
+          '  }',
+          '}'
+        ].join('\n'),
+        depthTest: false
+      })));
+    };
+
+    /**
+     * Render the scene for one of the eyes.
+     *
+     * @private
+     * @param {THREE.PerspectiveCamera} eyeCamera
+     * @param {number} x Left edge of the eye's viewport
+     * @param {number} width
+     * @param {number} height
+     */
+    const renderEye = function (eyeCamera, x, width, height) {
+      renderer.setScissor(x, 0, width, height);
+      renderer.setViewport(x, 0, width, height);
+
+      if (!stereo.renderTarget) {
+        renderer.render(scene, eyeCamera);
+        return;
+      }
+
+      // Render eye to texture and draw it with lens distortion
+      if (renderer.setRenderTarget) {
+        renderer.setRenderTarget(stereo.renderTarget);
+        renderer.render(scene, eyeCamera);
+        renderer.setRenderTarget(null);
+      }
+      else {
+        renderer.render(scene, eyeCamera, stereo.renderTarget); // Older three.js
+      }
+      renderer.setScissor(x, 0, width, height);
+      renderer.setViewport(x, 0, width, height);
+      renderer.render(stereo.distortionScene, stereo.distortionCamera);
+    };
+
+    /**
+     * Render the scenes side by side, once for each eye.
+     *
+     * @private
+     */
+    const renderStereo = function () {
+      const width = self.element.clientWidth / 2;
+      const height = self.element.clientHeight;
+
+      camera.updateMatrixWorld();
+      stereo.camera.update(camera);
+
+      renderer.setScissorTest(true);
+      renderEye(stereo.camera.cameraL, 0, width, height);
+      renderEye(stereo.camera.cameraR, width, width, height);
+      renderer.setScissorTest(false);
+
+      // Keep the right eye's copies of the elements in place
+      threeElements.forEach(function (threeElement) {
+        const stereoElement = threeElement.userData.stereoElement;
+        if (!stereoElement) {
+          return; // Surface elements are hidden in stereo
+        }
+        stereoElement.position.copy(threeElement.position);
+        stereoElement.rotation.copy(threeElement.rotation);
+      });
+
+      cssRenderer.render(cssScene, stereo.camera.cameraL);
+      stereo.cssRenderer.render(stereo.cssScene, stereo.camera.cameraR);
+    };
+
+    /**
+     * Split the screen and render one view for each eye, e.g. for use
+     * with cardboard headsets.
+     *
+     * @param {boolean} enable
+     * @param {Object} [settings]
+     * @param {number} [settings.eyeSeparation=0.064]
+     * @param {boolean|Object} [settings.distortion] Correct lens distortion, requires WebGL
+     * @param {number} [settings.distortion.k1=0.22] Barrel distortion coefficients
+     * @param {number} [settings.distortion.k2=0.24]
+     */
+    self.setStereoMode = function (enable, settings) {
+      if (stereo) {
+        // Clean up previous mode
+        threeElements.forEach(removeStereoClone);
+        self.element.removeChild(stereo.cssRenderer.domElement);
+        if (stereo.renderTarget) {
+          stereo.renderTarget.dispose();
+          stereo.distortionScene.children[0].geometry.dispose();
+          stereo.distortionScene.children[0].material.dispose();
+        }
+        stereo = null;
+        renderer.setViewport(0, 0, self.element.clientWidth, self.element.clientHeight);
+      }
+
+      if (enable) {
+        settings = settings || {};
+        stereo = {
+          settings: settings,
+          camera: new THREE.StereoCamera(),
+          cssScene: new THREE.Scene(),
+          cssRenderer: add(new THREE.CSS2DRenderer())
+        };
+        stereo.camera.aspect = 0.5;
+        stereo.camera.cameraL.layers.enable(1);
+        stereo.camera.cameraR.layers.enable(2);
+        stereo.camera.eyeSep = (settings.eyeSeparation !== undefined ? settings.eyeSeparation : 0.064);
+        stereo.cssRenderer.domElement.classList.add('h5p-three-sixty-stereo-eye');
+        stereo.cssRenderer.domElement.setAttribute('aria-hidden', 'true');
+
+        if (settings.distortion && hasWebGL) {
+          createDistortion(settings.distortion === true ? {} : settings.distortion);
+        }
+        threeElements.forEach(addStereoClone);
+      }
+
+      self.element.classList.toggle('h5p-three-sixty-stereo', !!enable);
+      self.resize();
+    };
+
+    /**
+     * @return {boolean}
+     */
+    self.isStereoMode = function () {
+      return !!stereo;
+    };
+
+    let flat = null; // Resources for the flat projection
+    let projectionTransition = null;
+    let perspectiveView = null; // Where to return when going back to perspective
+    const cssCamera = new THREE.PerspectiveCamera();
+    const elementVector = new THREE.Vector3();
+
+    /**
+     * Place the camera behind the center of the sphere, along the
+     * direction it is looking, to get the current projection.
+     *
+     * @private
+     */
+    const updateCameraDistance = function () {
+      if (projection.distance) {
+        camera.position.set(0, 0, -1).applyQuaternion(camera.quaternion).multiplyScalar(-projection.distance * radius);
+      }
+      else {
+        camera.position.set(0, 0, 0);
+      }
+      camera.updateMatrixWorld();
+
+      // The "CSS world" is larger
+      cssCamera.copy(camera);
+      cssCamera.position.multiplyScalar(elementRadius / radius);
+      cssCamera.updateMatrixWorld();
+    };
+
+    /**
+     * Get the aspect ratio of the source when laid out flat.
+     *
+     * @private
+     * @return {number}
+     */
+    const getFlatAspect = function () {
+      const yaw = (sourceLimits.yawMin !== undefined ? sourceLimits.yawMax - sourceLimits.yawMin : pi2);
+      const pitch = (sourceLimits.pitchMin !== undefined ? sourceLimits.pitchMax - sourceLimits.pitchMin : Math.PI);
+      return yaw / pitch;
+    };
+
+    /**
+     * Create the resources for showing the source as a flat image.
+     *
+     * @private
+     */
+    const createFlat = function () {
+      flat = {
+        scene: new THREE.Scene(),
+        camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1),
+        mesh: new THREE.Mesh(new THREE.PlaneBufferGeometry(1, 1), new THREE.MeshBasicMaterial({
+          transparent: true,
+          depthTest: false
+        }))
+      };
+      flat.scene.add(flat.mesh);
+    };
+
+    /**
+     * Fit the flat image inside the viewport. Units are relative to half
+     * the height of the viewport.
+     *
+     * @private
+     * @return {Object} Size of image
+     */
+    const layoutFlat = function () {
+      const aspect = self.element.clientWidth / self.element.clientHeight;
+      const flatAspect = getFlatAspect();
+      const height = Math.min(2, 2 * aspect / flatAspect);
+
+      flat.camera.left = -aspect;
+      flat.camera.right = aspect;
+      flat.camera.updateProjectionMatrix();
+      flat.mesh.scale.set(height * flatAspect, height, 1);
+      flat.mesh.material.map = getSphereMaterials()[0].map;
+      flat.mesh.material.opacity = projection.flat;
+
+      return {
+        width: height * flatAspect,
+        height: height
+      };
+    };
+
+    /**
+     * Get the angles covered by the flat image.
+     *
+     * @private
+     * @return {Object}
+     */
+    const getFlatRanges = function () {
+      return {
+        yaw: (sourceLimits.yawMin !== undefined ? sourceLimits.yawMax - sourceLimits.yawMin : pi2),
+        pitch: (sourceLimits.pitchMin !== undefined ? sourceLimits.pitchMax - sourceLimits.pitchMin : Math.PI)
+      };
+    };
+
+    /**
+     * Find the place of the position in the flat image.
+     * The center of the image is at yaw -90 degrees.
+     *
+     * @private
+     * @param {Object} position
+     * @param {Object} size Of flat image
+     * @return {Object} Pixels
+     */
+    const positionToFlat = function (position, size) {
+      const width = self.element.clientWidth;
+      const height = self.element.clientHeight;
+      const ranges = getFlatRanges();
+      return {
+        x: width / 2 + getAngleDelta(-Math.PI / 2, position.yaw) / ranges.yaw * size.width * height / 2,
+        y: height / 2 - position.pitch / ranges.pitch * size.height * height / 2
+      };
+    };
+
+    /**
+     * Find the position at the given place in the flat image.
+     *
+     * @private
+     * @param {number} x Pixels
+     * @param {number} y Pixels
+     * @param {Object} size Of flat image
+     * @return {Object}
+     */
+    const flatToPosition = function (x, y, size) {
+      const width = self.element.clientWidth;
+      const height = self.element.clientHeight;
+      const ranges = getFlatRanges();
+      return {
+        yaw: -Math.PI / 2 + (x - width / 2) / (size.width * height / 2) * ranges.yaw,
+        pitch: clamp(-(y - height / 2) / (size.height * height / 2) * ranges.pitch, -maxPitch, maxPitch)
+      };
+    };
+
+    /**
+     * Blend the elements from their place in the sphere to their place in
+     * the flat image.
+     *
+     * @private
+     */
+    const positionFlatElements = function () {
+      const size = layoutFlat();
+      const width = self.element.clientWidth;
+      const height = self.element.clientHeight;
+
+      threeElements.forEach(function (threeElement) {
+        if (threeElement.userData.surface) {
+          return; // Faded out instead
+        }
+
+        // Place in sphere
+        elementVector.copy(threeElement.position).project(cssCamera);
+        const sphereX = (elementVector.x + 1) / 2 * width;
+        const sphereY = (1 - elementVector.y) / 2 * height;
+
+        // Place in flat image
+        const flatPoint = positionToFlat({
+          yaw: -threeElement.rotation.y,
+          pitch: threeElement.rotation.x
+        }, size);
+
+        const x = sphereX + (flatPoint.x - sphereX) * projection.flat;
+        const y = sphereY + (flatPoint.y - sphereY) * projection.flat;
+        threeElement.element.style.transform = 'translate(-50%,-50%) translate(' + x + 'px,' + y + 'px)';
+      });
+    };
+
+    /**
+     * Change how the panorama is projected onto the screen.
+     *
+     * @param {string} name 'perspective', 'stereographic' (little planet), 'fisheye' or 'equirectangular-flat'
+     * @param {Object} [settings]
+     * @param {number} [settings.duration=1000] Milliseconds to animate the change
+     * @return {Promise} Resolves true when done or false if interrupted
+     */
+    self.setProjection = function (name, settings) {
+      const target = projections[name === 'little-planet' ? 'stereographic' : name];
+      if (!target) {
+        return Promise.reject(new Error('Unknown projection: ' + name));
+      }
+      if (target.flat && (isCubemap(sourceElement) || isTiled(sourceElement))) {
+        return Promise.reject(new Error('Only equirectangular sources can be shown flat'));
+      }
+
+      settings = settings || {};
+      stopProjectionTransition();
+      self.stopFlying();
+
+      if (projection.name === 'perspective') {
+        perspectiveView = {
+          fov: camera.fov,
+          pitch: camera.rotation.x
+        };
+      }
+
+      const from = {
+        distance: projection.distance,
+        flat: projection.flat,
+        fov: camera.fov,
+        pitch: camera.rotation.x
+      };
+      const to = {
+        distance: target.distance,
+        flat: (target.flat ? 1 : 0),
+        fov: (target.fov ? target.fov : perspectiveView.fov),
+        pitch: (target.pitch !== undefined ? target.pitch : (projection.name === 'stereographic' ? perspectiveView.pitch : from.pitch))
+      };
+
+      projection.name = (target === projections.stereographic ? 'stereographic' : name);
+      projection.maxFov = target.maxFov;
+      if (to.flat && !flat) {
+        createFlat();
+      }
+
+      const duration = (prefersReducedMotion() ? 0 : (settings.duration !== undefined ? settings.duration : 1000));
+
+      projectionTransition = animate(duration, function (t, progress) {
+        projection.distance = from.distance + (to.distance - from.distance) * t;
+        projection.flat = from.flat + (to.flat - from.flat) * t;
+        camera.fov = from.fov + (to.fov - from.fov) * t;
+        camera.updateProjectionMatrix();
+        camera.rotation.x = from.pitch + (to.pitch - from.pitch) * t;
+        requestRender();
+
+        if (progress === 1) {
+          clampCamera();
+          self.trigger('projectionchange', {
+            projection: projection.name
+          });
+        }
+      });
+      return projectionTransition.promise;
+    };
+
+    /**
+     * Interrupt the change of projection.
+     *
+     * @private
+     */
+    const stopProjectionTransition = function () {
+      if (projectionTransition) {
+        projectionTransition.stop();
+        projectionTransition = null;
+      }
+    };
+
+    /**
+     * @return {string}
+     */
+    self.getProjection = function () {
+      return projection.name;
+    };
+
+    const viewMargin = (options.viewMargin !== undefined ? options.viewMargin : 0);
+
+    /**
+     * Check which elements are in view and let others know when this changes.
+     * Elements out of view are hidden when culling is enabled.
+     *
+     * @private
+     */
+    const updateElementVisibility = function () {
+      const width = self.element.clientWidth;
+      const height = self.element.clientHeight;
+
+      threeElements.forEach(function (threeElement, id, element) {
+        let inView;
+        if (projection.flat > 0.5) {
+          inView = true; // Everything fits in the flat image
+        }
+        else {
+          elementVector.copy(threeElement.position).project(cssCamera);
+          const x = (elementVector.x + 1) / 2 * width;
+          const y = (1 - elementVector.y) / 2 * height;
+          inView = (elementVector.z < 1 && // In front of camera
+            x >= -viewMargin && x <= width + viewMargin &&
+            y >= -viewMargin && y <= height + viewMargin);
+        }
+
+        const wasInView = threeElement.userData.inView;
+        if (inView === wasInView) {
+          return; // No change
+        }
+
+        threeElement.userData.inView = inView;
+        if (options.cullElements) {
+          element.classList.toggle('h5p-three-sixty-culled', !inView);
+
+          // Keep the renderers from positioning elements out of view
+          const stereoElement = threeElement.userData.stereoElement;
+          if (inView) {
+            if (!threeElement.parent) {
+              cssScene.add(threeElement);
+            }
+            if (stereoElement && !stereoElement.parent) {
+              stereo.cssScene.add(stereoElement);
+            }
+          }
+          else {
+            cssScene.remove(threeElement);
+            if (stereoElement) {
+              stereo.cssScene.remove(stereoElement);
+            }
+          }
+        }
+        if (!inView && wasInView === undefined) {
+          return; // Never was in view
+        }
+        self.trigger(inView ? 'elemententerview' : 'elementleaveview', {
+          id: id,
+          element: element
+        });
+      });
+    };
+
+    /**
+     * Get the elements currently in view.
+     *
+     * @return {Object[]} With id and element
+     */
+    self.getVisibleElements = function () {
+      const visible = [];
+      threeElements.forEach(function (threeElement, id, element) {
+        if (threeElement.userData.inView) {
+          visible.push({
+            id: id,
+            element: element
+          });
+        }
+      });
+      return visible;
+    };
+
+    /**
+     * Find the position in the panorama shown at the given point.
+     *
+     * @param {number} x Pixels from the left edge of the viewer
+     * @param {number} y Pixels from the top edge of the viewer
+     * @return {Object} yaw and pitch
+     */
+    self.screenToPosition = function (x, y) {
+      if (projection.flat > 0.5) {
+        return flatToPosition(x, y, layoutFlat());
+      }
+
+      // Cast a ray from the camera through the point
+      updateCameraDistance();
+      elementVector.set(x / self.element.clientWidth * 2 - 1, -(y / self.element.clientHeight * 2 - 1), 0.5)
+        .unproject(camera).sub(camera.position).normalize();
+
+      // Find where the ray hits the sphere, the camera may be off center
+      const origin = camera.position;
+      const b = origin.dot(elementVector);
+      const distance = -b + Math.sqrt(b * b - origin.lengthSq() + radius * radius);
+      elementVector.multiplyScalar(distance).add(origin).normalize();
+
+      return {
+        yaw: Math.atan2(elementVector.x, -elementVector.z),
+        pitch: Math.asin(clamp(elementVector.y, -1, 1))
+      };
+    };
+
+    /**
+     * Find where the given position in the panorama is shown.
+     *
+     * @param {number} yaw
+     * @param {number} pitch
+     * @return {Object} x and y in pixels from the top left corner of the viewer, and if it is visible
+     */
+    self.positionToScreen = function (yaw, pitch) {
+      const width = self.element.clientWidth;
+      const height = self.element.clientHeight;
+
+      if (projection.flat > 0.5) {
+        const point = positionToFlat({
+          yaw: yaw,
+          pitch: pitch
+        }, layoutFlat());
+        point.visible = (point.x >= 0 && point.x <= width && point.y >= 0 && point.y <= height);
+        return point;
+      }
+
+      updateCameraDistance();
+      elementVector.set(
+        Math.sin(yaw) * Math.cos(pitch),
+        Math.sin(pitch),
+        -Math.cos(yaw) * Math.cos(pitch)
+      ).multiplyScalar(radius).project(camera);
+
+      const x = (elementVector.x + 1) / 2 * width;
+      const y = (1 - elementVector.y) / 2 * height;
+      return {
+        x: x,
+        y: y,
+        visible: (elementVector.z < 1 && x >= 0 && x <= width && y >= 0 && y <= height)
+      };
+    };
+
+    var hasFirstRender;
+
+    /**
+     * Draws a single frame. Use requestRender to schedule one.
+     *
+     * @private
+     */
+    var render = function () {
+      renderLoopId = null;
+
+      // Upload the next frame of videos
+      const playing = isPlaying(sourceElement);
+      const sourceChanged = (sourceNeedsUpdate ? sourceNeedsUpdate(sourceElement) : playing);
+      if (sourceChanged && sphere) {
+        getSphereMaterials().forEach(function (material) {
+          material.map.needsUpdate = true;
+        });
+      }
+
+      if (autoRotate && autoRotate.active) {
+        autoRotateStep();
+      }
+      if (tour && tour.playing) {
+        stepTour();
+      }
+
+      updateCameraDistance();
+      if (tiledPanorama) {
+        tiledPanorama.update(camera, self.element.clientHeight);
+      }
+      updateElementVisibility();
+
+      // Draw scenes
+      if (stereo) {
+        renderStereo();
+      }
+      else {
+        renderer.render(scene, camera);
+        cssRenderer.render(cssScene, cssCamera);
+      }
+      if (surfaceRenderer) {
+        surfaceRenderer.domElement.style.display = (stereo ? 'none' : '');
+        surfaceRenderer.domElement.style.opacity = 1 - projection.flat;
+        if (!stereo) {
+          surfaceRenderer.render(cssScene, cssCamera);
+        }
+      }
+
+      if (projection.flat && sphere) {
+        // Draw flat image on top
+        positionFlatElements();
+        renderer.autoClear = false;
+        renderer.render(flat.scene, flat.camera);
+        renderer.autoClear = true;
+      }
+
+      if (playing) {
+        requestRender(); // Keep going until the video stops
+      }
+
+      if (triggerFirstRenderEvent) {
+        triggerFirstRenderEvent = false;
+        self.trigger('firstrender');
+      }
+    };
+
+    // Add camera controls
+    var cameraControls = new PositionControls(self, cssRenderer.domElement, 400, true, true);
+
+    /**
+     * Let the camera glide and slowly come to a stop after dragging.
+     *
+     * @param {number|boolean} dampingFactor Share of the speed kept each frame, from 0 to 1. True for default.
+     */
+    self.setInertia = function (dampingFactor) {
+      cameraControls.setInertia(dampingFactor === true ? 0.92 : dampingFactor);
+    };
+    self.setInertia(options.inertia);
+
+    // Camera starts moving handler
+    cameraControls.on('movestart', function (event) {
+      // User takes over
+      pauseAutoRotate();
+      interruptTour();
+      self.stopFlying();
+
+      dragged = false;
+
+      // Set camera start position
+      cameraControls.startY = camera.rotation.y;
+      cameraControls.startX = camera.rotation.x;
+
+      preventDeviceOrientation = true;
+
+      // Relay event
+      self.trigger(event);
+    });
+
+    // Rotate camera as controls move
+    cameraControls.on('move', function (event) {
+      if (Math.abs(event.alpha) + Math.abs(event.beta) > 0.005) {
+        dragged = true; // Not a click
+      }
+
+      let yaw = cameraControls.startY + event.alpha;
+      let pitch = cameraControls.startX + event.beta;
+
+      // Set outer bounds for camera so it does not loop around.
+      // It can max see max 90 degrees up and down
+      const clampedPitch = clampPitch(pitch);
+
+      // Keep yaw between 0 and 2PI
+      yaw %= pi2;
+      if (yaw < 0) { // Reset when passing 0
+        yaw += pi2;
+      }
+
+      // Allow infinite yaw rotations unless limited
+      const clampedYaw = -clampYaw(-yaw);
+
+      // Move start so that dragging back responds right away after hitting a limit
+      cameraControls.startY += getAngleDelta(yaw, clampedYaw);
+      cameraControls.startX += clampedPitch - pitch;
+
+      camera.rotation.y = clampedYaw;
+      camera.rotation.x = clampedPitch;
+      requestRender();
+    });
+
+    // Let others know where the user clicked in the panorama
+    let dragged = false;
+    listen(cssRenderer.domElement, 'click', function (e) {
+      if (dragged || e.target !== cssRenderer.domElement) {
+        return; // Dragging or clicking an element
+      }
+
+      const rect = self.element.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      const position = self.screenToPosition(x, y);
+      self.trigger('panoramaclick', {
+        yaw: position.yaw,
+        pitch: position.pitch,
+        x: x,
+        y: y
+      });
+    }, false);
+
+    // Zoom camera with pinch gesture and turn it by twisting
+    let pinchStart;
+    cameraControls.on('pinchstart', function () {
+      pauseAutoRotate();
+      interruptTour();
+      self.stopFlying();
+      pinchStart = {
+        fov: camera.fov,
+        yaw: camera.rotation.y
+      };
+    });
+    cameraControls.on('pinch', function (event) {
+      self.setFov(pinchStart.fov / event.data.scale);
+      camera.rotation.y = pinchStart.yaw + event.data.rotation;
+      clampCamera();
+      requestRender();
+    });
+    cameraControls.on('pinchend', function () {
+      // Continue dragging from where the gesture left the camera
+      cameraControls.startY = camera.rotation.y - cameraControls.getAlpha();
+      cameraControls.startX = camera.rotation.x - cameraControls.getBeta();
+    });
+
+    // Zoom toward the point that was tapped twice, or back out
+    cameraControls.on('doubletap', function (event) {
+      interruptTour();
+      const rect = self.element.getBoundingClientRect();
+      const position = self.screenToPosition(event.data.x - rect.left, event.data.y - rect.top);
+      const settings = {
+        duration: 400
+      };
+      if (camera.fov > minFieldOfView + 1) {
+        self.flyTo({
+          yaw: position.yaw,
+          pitch: position.pitch,
+          fov: camera.fov / 2
+        }, settings);
+      }
+      else {
+        self.flyTo({
+          fov: fieldOfView
+        }, settings);
+      }
+    });
+
+    // Zoom camera with mouse wheel
+    listen(cssRenderer.domElement, 'wheel', function (e) {
+      e.preventDefault();
+
+      // Normalize line and page scrolling to approximately pixels
+      const delta = e.deltaY * (e.deltaMode === 1 ? 40 : (e.deltaMode === 2 ? 800 : 1));
+      zoom(-delta / 100);
+    }, {passive: false});
+
+    // Any key press, e.g. tabbing through elements, counts as activity
+    listen(cssRenderer.domElement, 'keydown', pauseAutoRotate, false);
+
+    // Relay camera movement stopped event
+    cameraControls.on('movestop', function (event) {
+      preventDeviceOrientation = false;
+      if (deviceOrientationEnabled) {
+        // Keep the dragged offset on top of the device heading
+        orientationPitchOffset += cameraControls.getBeta();
+        alignHeading = camera.rotation.y;
+        updateCameraOrientation();
+      }
+      event.data = {
+        yaw: -camera.rotation.y,
+        pitch: camera.rotation.x
+      };
+      self.trigger(event);
+    });
+
+    let announcer = null; // Live region for screen readers
+
+    /**
+     * Let screen readers know where the camera is facing and what is in
+     * view after the user has moved it.
+     *
+     * @param {boolean} enable
+     * @param {Object} [l10n] Translations, see defaultL10n
+     */
+    self.setAnnouncements = function (enable, l10n) {
+      if (announcer) {
+        clearTimeout(announcer.timer);
+        self.element.removeChild(announcer.element);
+        announcer = null;
+      }
+      if (!enable) {
+        return;
+      }
+
+      announcer = {
+        l10n: Object.assign({}, defaultL10n, l10n),
+        element: document.createElement('div'),
+        entered: [] // Elements that have come into view while moving
+      };
+      announcer.element.classList.add('h5p-three-sixty-announcer');
+      announcer.element.setAttribute('aria-live', 'polite');
+      announcer.element.setAttribute('aria-atomic', 'true');
+      self.element.appendChild(announcer.element);
+    };
+
+    /**
+     * Read the text aloud using the live region.
+     *
+     * @private
+     * @param {string} text
+     */
+    const announce = function (text) {
+      announcer.element.textContent = '';
+      clearTimeout(announcer.timer);
+      announcer.timer = setTimeout(function () {
+        announcer.element.textContent = text; // Changed after clearing so that repeated texts are read
+      }, 100);
+    };
+
+    /**
+     * Describe the direction the camera is facing.
+     *
+     * @private
+     * @return {string}
+     */
+    const describeView = function () {
+      const l10n = announcer.l10n;
+      const heading = (-camera.rotation.y - north) % pi2 + pi2;
+      const headingName = l10n.headings[Math.round(heading / pi2 * l10n.headings.length) % l10n.headings.length];
+
+      const pitch = camera.rotation.x;
+      const pitchName = (pitch > toRad(60) ? l10n.up : (pitch > toRad(20) ? l10n.slightlyUp :
+        (pitch < toRad(-60) ? l10n.down : (pitch < toRad(-20) ? l10n.slightlyDown : l10n.level))));
+
+      return l10n.view.replace(':heading', headingName).replace(':pitch', pitchName);
+    };
+
+    /**
+     * Get the names of the given elements as one text.
+     *
+     * @private
+     * @param {HTMLElement[]} elements
+     * @return {string}
+     */
+    const listElements = function (elements) {
+      return elements.map(function (element) {
+        return (element.getAttribute('aria-label') || element.title || element.textContent).trim();
+      }).filter(function (name) {
+        return name !== '';
+      }).join(announcer.l10n.separator);
+    };
+
+    /**
+     * Read the names of all the elements in view.
+     */
+    self.announceElementsInView = function () {
+      if (!announcer) {
+        return;
+      }
+
+      const elements = self.getVisibleElements().map(function (visible) {
+        return visible.element;
+      });
+      announce(elements.length ? announcer.l10n.inView.replace(':elements', listElements(elements)) : announcer.l10n.noneInView);
+    };
+
+    const north = (options.north !== undefined ? options.north : -Math.PI / 2);
+
+    cameraControls.on('movestart', function () {
+      if (announcer) {
+        announcer.entered = [];
+      }
+    });
+
+    self.on('elemententerview', function (event) {
+      if (announcer) {
+        announcer.entered.push(event.data.element);
+      }
+    });
+
+    // Wait for the final frame before telling where the camera ended up
+    cameraControls.on('movestop', function () {
+      if (!announcer) {
+        return;
+      }
+      clearTimeout(announcer.timer);
+      announcer.timer = setTimeout(function () {
+        let text = describeView();
+
+        const entered = announcer.entered.filter(function (element) {
+          const threeElement = self.find(element);
+          return threeElement && threeElement.userData.inView;
+        });
+        announcer.entered = [];
+        if (entered.length) {
+          text += '. ' + announcer.l10n.newInView.replace(':elements', listElements(entered));
+        }
+        announce(text);
+      }, 400);
+    });
+
+    /**
+     * Move the camera back to where it started.
+     *
+     * @private
+     */
+    const resetCamera = function () {
+      if (options.focusTransition) {
+        self.flyTo({
+          yaw: startPosition.yaw,
+          pitch: startPosition.pitch,
+          fov: fieldOfView
+        }, options.focusTransition);
+      }
+      else {
+        self.setFov(fieldOfView);
+        self.setCameraPosition(startPosition.yaw, startPosition.pitch);
+      }
+    };
+
+    /**
+     * Point the camera at the closest element to the right or left.
+     *
+     * @private
+     * @param {number} direction 1 for right and -1 for left
+     */
+    const snapToElement = function (direction) {
+      const yaw = -camera.rotation.y;
+      let closest = null;
+      let closestDelta;
+      threeElements.forEach(function (threeElement, id, element) {
+        let delta = getAngleDelta(yaw, -threeElement.rotation.y) * direction;
+        if (delta < 0.001) {
+          delta += pi2; // Go all the way around
+        }
+        if (!closest || delta < closestDelta) {
+          closest = element;
+          closestDelta = delta;
+        }
+      });
+      if (!closest) {
+        return;
+      }
+
+      const threeElement = self.find(closest);
+      if (options.focusTransition) {
+        self.flyTo({
+          yaw: -threeElement.rotation.y,
+          pitch: threeElement.rotation.x
+        }, options.focusTransition);
+      }
+      else {
+        self.setCameraPosition(-threeElement.rotation.y, threeElement.rotation.x);
+      }
+      if (announcer) {
+        announce(listElements([closest]));
+      }
+    };
+
+    // Keyboard shortcuts, movement is handled by the controls
+    cameraControls.on('keyaction', function (event) {
+      if (event.data.action !== 'listElements') {
+        interruptTour();
+      }
+      switch (event.data.action) {
+        case 'reset':
+          resetCamera();
+          break;
+        case 'zoomIn':
+          zoom(1);
+          break;
+        case 'zoomOut':
+          zoom(-1);
+          break;
+        case 'nextElement':
+          snapToElement(1);
+          break;
+        case 'previousElement':
+          snapToElement(-1);
+          break;
+        case 'listElements':
+          self.announceElementsInView();
+          break;
+        default:
+          return; // Unknown action
+      }
+      event.data.event.preventDefault();
+    });
+
+    /**
+     * Change the keyboard controls.
+     *
+     * @param {Object} [bindings] Action for each KeyboardEvent key or code, see defaultKeyBindings.
+     *   Replaces the defaults for the given keys, use null to remove a key.
+     */
+    self.setKeyBindings = function (bindings) {
+      cameraControls.setKeyBindings(Object.assign({}, defaultKeyBindings, bindings));
+    };
+    self.setKeyBindings(options.keyBindings);
+
+    var tour = null; // Camera path being played
+
+    /**
+     * Add the current view to the end of the camera path.
+     *
+     * @param {H5P.ThreeSixty.CameraPath} path
+     * @param {Object} [settings] Duration, hold and highlight, see CameraPath.add
+     * @return {Object} The keyframe
+     */
+    self.recordKeyframe = function (path, settings) {
+      return path.add(Object.assign({
+        yaw: -camera.rotation.y,
+        pitch: camera.rotation.x,
+        fov: camera.fov
+      }, settings));
+    };
+
+    /**
+     * Move the camera along the path, e.g. for guided tours. The tour is
+     * interrupted when the user moves the camera, and a button for
+     * resuming it is shown.
+     *
+     * @param {H5P.ThreeSixty.CameraPath} path
+     * @param {Object} [settings]
+     * @param {number} [settings.time=0] Milliseconds into the path to start from
+     * @param {boolean} [settings.resumeButton=true] Show a button for resuming after interruptions
+     * @param {Object} [settings.l10n] Translations, see defaultL10n
+     * @return {Promise} Resolves true when done or false if stopped
+     */
+    self.playTour = function (path, settings) {
+      self.stopTour();
+      self.stopFlying();
+      settings = settings || {};
+
+      return new Promise(function (resolve) {
+        tour = {
+          path: path,
+          resolve: resolve,
+          time: clamp(settings.time || 0, 0, path.getDuration()),
+          lastFrame: performance.now(),
+          playing: true,
+          index: null, // Last keyframe reached
+          highlighted: [],
+          resumeButton: (settings.resumeButton !== false),
+          l10n: Object.assign({}, defaultL10n, settings.l10n)
+        };
+        requestRender();
+      });
+    };
+
+    /**
+     * Move the tour forward, called for each frame.
+     *
+     * @private
+     */
+    const stepTour = function () {
+      const now = performance.now();
+      const duration = tour.path.getDuration();
+      tour.time = Math.min(tour.time + Math.min(now - tour.lastFrame, 100), duration); // Avoid jumps after inactive tabs
+      tour.lastFrame = now;
+      showTourFrame();
+
+      if (tour.time >= duration) {
+        const resolve = tour.resolve;
+        setTourHighlight([]);
+        tour = null;
+        self.trigger('tourend');
+        resolve(true);
+        return;
+      }
+      requestRender(); // Next step
+    };
+
+    /**
+     * Point the camera where the path is at the current time.
+     *
+     * @private
+     */
+    const showTourFrame = function () {
+      const frame = tour.path.getFrame(tour.time);
+      if (!frame) {
+        return; // No keyframes
+      }
+
+      if (frame.fov !== undefined) {
+        self.setFov(frame.fov);
+      }
+      camera.rotation.y = -frame.yaw;
+      camera.rotation.x = frame.pitch;
+      clampCamera();
+      requestRender();
+
+      if (frame.index !== tour.index) {
+        tour.index = frame.index;
+        const keyframe = tour.path.getKeyframes()[frame.index];
+        setTourHighlight(keyframe.highlight);
+        self.trigger('tourkeyframe', {
+          index: frame.index,
+          keyframe: keyframe
+        });
+      }
+      self.trigger('tourprogress', {
+        time: tour.time,
+        duration: tour.path.getDuration()
+      });
+    };
+
+    /**
+     * Make the given elements stand out.
+     *
+     * @private
+     * @param {string[]} ids
+     */
+    const setTourHighlight = function (ids) {
+      tour.highlighted.forEach(function (element) {
+        element.classList.remove('h5p-three-sixty-highlight');
+      });
+      tour.highlighted = ids.map(function (id) {
+        return threeElements.get(id);
+      }).filter(function (threeElement) {
+        return threeElement !== undefined;
+      }).map(function (threeElement) {
+        threeElement.element.classList.add('h5p-three-sixty-highlight');
+        return threeElement.element;
+      });
 
-        // Move camera to element when tabbing
-        element.addEventListener('focus', function (e) {
-          if (!e.defaultPrevented) {
-            self.setCameraPosition(-threeElement.rotation.y, threeElement.rotation.x);
-          }
-        }, false);
+      if (announcer && tour.highlighted.length) {
+        announce(listElements(tour.highlighted));
       }
+    };
 
-      // Set initial position
-      ThreeSixty.setElementPosition(threeElement, startPosition);
+    /**
+     * Let the user take over the camera.
+     *
+     * @private
+     */
+    const interruptTour = function () {
+      if (!tour || !tour.playing) {
+        return;
+      }
 
-      cssScene.add(threeElement);
-      return threeElement;
+      self.pauseTour();
+      if (tour.resumeButton) {
+        tour.button = document.createElement('button');
+        tour.button.type = 'button';
+        tour.button.classList.add('h5p-three-sixty-resume-tour');
+        tour.button.textContent = tour.l10n.resumeTour;
+        tour.button.addEventListener('click', function () {
+          self.resumeTour();
+        }, false);
+        self.element.appendChild(tour.button);
+      }
+      self.trigger('tourinterrupted');
     };
 
     /**
-     * Remove element from "CSS world"
-     * @param {THREE.CSS3DObject} threeElement
+     * @private
      */
-    self.remove = function (threeElement) {
-      threeElements.splice(threeElements.indexOf(threeElement), 1);
-      cssScene.remove(threeElement);
+    const removeResumeButton = function () {
+      if (tour.button) {
+        self.element.removeChild(tour.button);
+        tour.button = null;
+      }
     };
 
     /**
-     * Find the threeElement for the given element.
-     * TODO: Move into a separate collection handling class
-     *
-     * @param {Element} element
-     * @return {THREE.CSS3DObject}
+     * Pause the tour where it is.
      */
-    self.find = function (element) {
-      for (let i = 0; i < threeElements.length; i++) {
-        if (threeElements[i].element === element) {
-          return threeElements[i];
-        }
+    self.pauseTour = function () {
+      if (tour) {
+        tour.playing = false;
       }
     };
 
     /**
-     * Find the index of the given element.
-     * TODO: Move into a separate collection handling class
-     *
-     * @param {Element} element
-     * @return {number}
+     * Continue the tour, moving the camera back to the path first if the
+     * user has moved it.
      */
-    self.indexOf = function (element) {
-      for (let i = 0; i < threeElements.length; i++) {
-        if (threeElements[i].element === element) {
-          return i;
+    self.resumeTour = function () {
+      if (!tour || tour.playing) {
+        return;
+      }
+      removeResumeButton();
+
+      const current = tour;
+      const play = function () {
+        if (tour === current && !tour.playing) {
+          tour.playing = true;
+          tour.lastFrame = performance.now();
+          requestRender();
         }
+      };
+
+      const frame = tour.path.getFrame(tour.time);
+      if (!frame || (Math.abs(getAngleDelta(-camera.rotation.y, frame.yaw)) < 0.001 &&
+          Math.abs(camera.rotation.x - frame.pitch) < 0.001 && (frame.fov === undefined || Math.abs(camera.fov - frame.fov) < 0.1))) {
+        play(); // Already on the path
+        return;
       }
+      self.flyTo(frame, {
+        duration: 800
+      }).then(function (done) {
+        if (done) {
+          play();
+        }
+      });
     };
 
     /**
-     * Get the position the camera is currently pointing at
+     * Jump to the given time in the tour, e.g. when scrubbing.
      *
-     * @return {Object}
+     * @param {number} time Milliseconds from the start of the path
      */
-    self.getCurrentPosition = function () {
-      return {
-        yaw: -camera.rotation.y,
-        pitch: camera.rotation.x
-      };
+    self.seekTour = function (time) {
+      if (!tour) {
+        return;
+      }
+      removeResumeButton();
+      self.stopFlying();
+      tour.time = clamp(time, 0, tour.path.getDuration());
+      showTourFrame();
     };
 
     /**
-     * TODO
+     * End the tour and leave the camera where it is.
      */
-    self.getCurrentFov = function () {
-      return camera.getEffectiveFOV();
+    self.stopTour = function () {
+      if (!tour) {
+        return;
+      }
+      removeResumeButton();
+      setTourHighlight([]);
+      const resolve = tour.resolve;
+      tour = null;
+      resolve(false);
     };
 
     /**
-     * TODO
+     * @return {number} Milliseconds into the tour, undefined if none
      */
-    self.getElement = function () {
-      return self.element;
+    self.getTourTime = function () {
+      return (tour ? tour.time : undefined);
     };
 
     /**
-     * Give new size
+     * @return {boolean}
      */
-    self.resize = function (newRatio) {
-      if (!self.element.clientWidth) {
-        return;
-      }
+    self.isTourPlaying = function () {
+      return !!(tour && tour.playing);
+    };
 
-      if (newRatio) {
-        camera.aspect = newRatio;
-        camera.updateProjectionMatrix();
-      }
-      else {
-        newRatio = ratio; // Avoid replacing the original
-      }
+    // Add approperiate styling
+    cssRenderer.domElement.classList.add('h5p-three-sixty-controls');
 
-      // Resize main wrapping element
-      self.element.style.height = (self.element.clientWidth / newRatio) + 'px';
+    if (options.stereo) {
+      self.setStereoMode(true, options.stereo);
+    }
+    if (options.projection) {
+      self.setProjection(options.projection, {duration: 0});
+    }
+    if (options.autoRotate) {
+      self.startAutoRotate(options.autoRotate === true ? {} : options.autoRotate);
+    }
+    if (options.announcements) {
+      self.setAnnouncements(true, options.announcements === true ? {} : options.announcements);
+    }
 
-      // Resize renderers
-      renderer.setSize(self.element.clientWidth, self.element.clientHeight);
-      cssRenderer.setSize(self.element.clientWidth, self.element.clientHeight);
+    var preventDeviceOrientation;
+    var deviceOrientationEnabled = false;
+    var deviceHeading = null; // Last reading from the gyroscope
+    var alignHeading = null; // Yaw to keep when the gyroscope takes over
+    var orientationPitchOffset = 0; // Added on top of the gyroscope by dragging
+    var qOrientation, qMovement, qNinety, euler, xVector, zVector;
+
+    /**
+     * Get the current rotation of the screen in degrees
+     *
+     * @private
+     * @return {number}
+     */
+    var getScreenOrientation = function () {
+      if (window.screen && window.screen.orientation && window.screen.orientation.angle !== undefined) {
+        return window.screen.orientation.angle;
+      }
+      return window.orientation || 0; // Old iOS
     };
 
-    var hasFirstRender;
+    /**
+     * Handle screen orientation change by compensating camera
+     *
+     * @private
+     */
+    var setOrientation = function () {
+      qOrientation.setFromAxisAngle(zVector, toRad(-getScreenOrientation()));
+      updateCameraOrientation();
+    };
 
     /**
+     * Initialize orientation supported device
+     *
      * @private
      */
-    var render = function () {
+    var initializeOrientation = function () {
+      qOrientation = new THREE.Quaternion();
+      qMovement = new THREE.Quaternion();
+      qNinety = new THREE.Quaternion(-Math.sqrt(0.5), 0, 0, Math.sqrt(0.5));
+      euler = new THREE.Euler();
+      xVector = new THREE.Vector3(1, 0, 0);
+      zVector = new THREE.Vector3(0, 0, 1);
+      setOrientation(); // Set default
+    };
 
-      // Draw scenes
-      renderer.render(scene, camera);
-      cssRenderer.render(cssScene, camera);
+    /**
+     * Point the camera according to the last gyroscope reading and the
+     * offset the user has added by dragging.
+     *
+     * @private
+     */
+    var updateCameraOrientation = function () {
+      if (!deviceHeading || preventDeviceOrientation) {
+        return;
+      }
 
-      // Prepare next render
-      renderLoopId = requestAnimationFrame(render);
+      // Adjust camera to reflect device movement
+      euler.set(toRad(deviceHeading.beta), toRad(deviceHeading.alpha) + deviceHeading.yawOffset, toRad(-deviceHeading.gamma), 'YXZ');
+      camera.quaternion.setFromEuler(euler);
+      camera.quaternion.multiply(qNinety); // Shift camera 90 degrees
+      camera.quaternion.multiply(qOrientation); // Compensate for device orientation
+      qMovement.setFromAxisAngle(xVector, orientationPitchOffset);
+      camera.quaternion.multiply(qMovement); // Compensate for movement
+      requestRender();
 
-      if (triggerFirstRenderEvent) {
-        triggerFirstRenderEvent = false;
-        self.trigger('firstrender');
+      if (alignHeading !== null) {
+        // Turn the sensor heading so that the camera keeps facing the same way
+        deviceHeading.yawOffset += alignHeading - camera.rotation.y;
+        alignHeading = null;
+        updateCameraOrientation();
       }
     };
 
-    // Add camera controls
-    var cameraControls = new PositionControls(self, cssRenderer.domElement, 400, true, true);
+    /**
+     * Handle device groscope movement
+     *
+     * @private
+     * @param {DeviceOrientationEvent} event
+     */
+    var deviceOrientation = function (event) {
+      if (event.alpha === null) {
+        return; // No sensor
+      }
 
-    // Workaround for touchevent not cancelable when CSS 'perspective' is set.
-    renderer.domElement.addEventListener('touchmove', function (e) { });
-    // This appears to be a bug in Chrome.
+      deviceHeading = {
+        alpha: event.alpha,
+        beta: event.beta,
+        gamma: event.gamma,
+        yawOffset: deviceHeading ? deviceHeading.yawOffset : 0
+      };
+      updateCameraOrientation();
+    };
 
-    // Camera starts moving handler
-    cameraControls.on('movestart', function (event) {
-      // Set camera start position
-      cameraControls.startY = camera.rotation.y;
-      cameraControls.startX = camera.rotation.x;
+    /**
+     * Let the camera follow the movement of the device. Dragging will add
+     * an offset on top of the device heading.
+     *
+     * Must be called from a user gesture (e.g. click) on iOS since it will
+     * ask the user for permission.
+     *
+     * @return {Promise} Resolves once enabled, rejects if not allowed
+     */
+    self.enableDeviceOrientation = function () {
+      if (!window.DeviceOrientationEvent) {
+        return Promise.reject(new Error('Device orientation is not supported'));
+      }
 
-      preventDeviceOrientation = true;
+      const permission = (typeof DeviceOrientationEvent.requestPermission === 'function' ?
+        DeviceOrientationEvent.requestPermission() : Promise.resolve('granted'));
 
-      // Relay event
-      self.trigger(event);
-    });
+      return permission.then(function (state) {
+        if (state !== 'granted') {
+          throw new Error('Permission to use device orientation was denied');
+        }
+        if (deviceOrientationEnabled) {
+          return;
+        }
 
-    // Rotate camera as controls move
-    cameraControls.on('move', function (event) {
-      let yaw = cameraControls.startY + event.alpha;
-      let pitch = cameraControls.startX + event.beta;
+        if (qOrientation === undefined) {
+          initializeOrientation();
+        }
+        deviceOrientationEnabled = true;
+        deviceHeading = null;
+        alignHeading = camera.rotation.y;
+        orientationPitchOffset = camera.rotation.x;
 
-      // Set outer bounds for camera so it does not loop around.
-      // It can max see max 90 degrees up and down
-      const radsFromCameraCenter = toRad(fieldOfView) / 2;
-      if (pitch + radsFromCameraCenter > maxPitch) {
-        pitch = maxPitch - radsFromCameraCenter;
-      }
-      else if (pitch - radsFromCameraCenter < -maxPitch) {
-        pitch = -maxPitch + radsFromCameraCenter;
+        // Listen for device and screen rotation
+        window.addEventListener('deviceorientation', deviceOrientation, false);
+        if (window.screen && window.screen.orientation && window.screen.orientation.addEventListener) {
+          window.screen.orientation.addEventListener('change', setOrientation, false);
+        }
+        else {
+          window.addEventListener('orientationchange', setOrientation, false);
+        }
+        setOrientation();
+      });
+    };
+
+    /**
+     * Stop the camera from following the movement of the device.
+     */
+    self.disableDeviceOrientation = function () {
+      if (!deviceOrientationEnabled) {
+        return;
       }
 
-      // Keep yaw between 0 and 2PI
-      yaw %= pi2;
-      if (yaw < 0) { // Reset when passing 0
-        yaw += pi2;
+      window.removeEventListener('deviceorientation', deviceOrientation, false);
+      if (window.screen && window.screen.orientation && window.screen.orientation.removeEventListener) {
+        window.screen.orientation.removeEventListener('change', setOrientation, false);
+      }
+      else {
+        window.removeEventListener('orientationchange', setOrientation, false);
       }
+      deviceOrientationEnabled = false;
+      deviceHeading = null;
 
-      // Allow infinite yaw rotations
-      camera.rotation.y = yaw;
-      camera.rotation.x = pitch;
-    });
+      // Level out the camera so that dragging works as normal
+      camera.rotation.z = 0;
+      camera.rotation.x = clampPitch(camera.rotation.x);
+      requestRender();
+    };
 
-    // Relay camera movement stopped event
-    cameraControls.on('movestop', function (event) {
-      preventDeviceOrientation = false;
-      event.data = {
-        yaw: -camera.rotation.y,
-        pitch: camera.rotation.x
-      };
-      self.trigger(event);
-    });
+    /**
+     * @return {boolean}
+     */
+    self.isDeviceOrientationEnabled = function () {
+      return deviceOrientationEnabled;
+    };
 
-    // Add approperiate styling
-    cssRenderer.domElement.classList.add('h5p-three-sixty-controls');
+    /**
+     * Records where the user looks.
+     * @type {H5P.ThreeSixty.GazeRecorder}
+     */
+    self.gaze = new ThreeSixty.GazeRecorder(self, (options.gaze === true ? {} : options.gaze));
+    if (options.gaze) {
+      self.gaze.start();
+    }
 
-    var preventDeviceOrientation;
-    var qOrientation, qMovement, qNinety, euler, xVector, zVector;
+    let heatmap = null; // Shows the recorded gaze on top of the source
 
     /**
-     * Handle screen orientation change by compensating camera
+     * Show where the user has looked as a semi-transparent layer on top of
+     * the source. It is updated while recording.
      *
-     * @private
+     * @param {boolean} enable
      */
-    var setOrientation = function () {
-      qOrientation.setFromAxisAngle(zVector, toRad(-(window.orientation || 0)));
+    self.setHeatmapOverlay = function (enable) {
+      if (heatmap) {
+        self.gaze.off('sample', heatmap.update);
+        scene.remove(heatmap.mesh);
+        heatmap.mesh.geometry.dispose();
+        heatmap.mesh.material.dispose();
+        heatmap.mesh.material.map.dispose();
+        heatmap = null;
+        requestRender();
+      }
+      if (!enable) {
+        return;
+      }
+
+      const texture = new THREE.Texture(self.gaze.drawHeatmap(document.createElement('canvas')), THREE.UVMapping, THREE.ClampToEdgeWrapping, THREE.ClampToEdgeWrapping, THREE.LinearFilter, THREE.LinearFilter);
+      texture.needsUpdate = true;
+
+      const geometry = new THREE.SphereGeometry(radius * 0.99, 48, 24); // Inside the source
+      geometry.scale(-1, 1, 1);
+      heatmap = {
+        mesh: new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+          map: texture,
+          transparent: true,
+          depthTest: false
+        })),
+        lastUpdate: performance.now(),
+
+        /**
+         * Redraw the heatmap, at most once per second.
+         * @private
+         */
+        update: function () {
+          const now = performance.now();
+          if (now - heatmap.lastUpdate > 1000) {
+            heatmap.lastUpdate = now;
+            self.gaze.drawHeatmap(texture.image);
+            texture.needsUpdate = true;
+            requestRender();
+          }
+        }
+      };
+      heatmap.mesh.renderOrder = 2; // On top of all sources
+      heatmap.mesh.userData.panorama = {
+        yaw: pi2,
+        pitch: Math.PI
+      };
+      scene.add(heatmap.mesh);
+      self.gaze.on('sample', heatmap.update);
+      requestRender();
     };
 
     /**
-     * Initialize orientation supported device
+     * Get a snapshot of the view and the element positions which can be
+     * stored as JSON, e.g. to let the user continue where they left off.
      *
-     * @private
+     * @return {Object}
      */
-    var initializeOrientation = function () {
-      qOrientation = new THREE.Quaternion();
-      qMovement = new THREE.Quaternion();
-      qNinety = new THREE.Quaternion(-Math.sqrt(0.5), 0, 0, Math.sqrt(0.5));
-      euler = new THREE.Euler();
-      xVector = new THREE.Vector3(1, 0, 0);
-      zVector = new THREE.Vector3(0, 0, 1);
+    self.getState = function () {
+      const state = {
+        camera: {
+          yaw: -camera.rotation.y,
+          pitch: camera.rotation.x,
+          fov: camera.fov
+        },
+        source: getSourceId(sourceElement),
+        elements: {}
+      };
+      threeElements.forEach(function (threeElement, id) {
+        state.elements[id] = threeElements.getPosition(id);
+      });
+      return state;
+    };
 
-      // Listen for screen rotation
-      window.addEventListener('orientationchange', setOrientation, false);
-      setOrientation(); // Set default
+    /**
+     * Restore a snapshot from getState. Elements have to be added first,
+     * and update() called so that the camera limits of the source are known.
+     *
+     * @param {Object} state
+     * @param {Function} [getSource] Called with the id of the snapshot's source if it differs
+     *   from the current, should return the source to show
+     */
+    self.setState = function (state, getSource) {
+      if (!state) {
+        return;
+      }
+
+      if (getSource && state.source !== undefined && state.source !== getSourceId(sourceElement)) {
+        const source = getSource(state.source);
+        if (source) {
+          self.setSourceElement(source);
+          self.update();
+        }
+      }
+
+      if (state.elements) {
+        Object.keys(state.elements).forEach(function (id) {
+          threeElements.update(id, {
+            position: state.elements[id]
+          });
+        });
+      }
+
+      if (state.camera) {
+        if (state.camera.fov) {
+          self.setFov(state.camera.fov);
+        }
+        self.setCameraPosition(state.camera.yaw, state.camera.pitch);
+      }
     };
 
+    let stateTimer = null;
+
     /**
-     * Handle device groscope movement
+     * Let others know that the state has changed, once things have settled.
      *
-     * @param {DeviceOrientationEvent} event
+     * @private
      */
-    var deviceOrientation = function (event) {
-      if (qOrientation === undefined) {
-        // Initialize on first orientation event
-        initializeOrientation();
+    const stateChanged = function () {
+      if (destroyed) {
+        return; // E.g. elements removed while destroying
+      }
+      clearTimeout(stateTimer);
+      stateTimer = setTimeout(function () {
+        stateTimer = null;
+        self.trigger('statechange', self.getState());
+      }, 500);
+    };
+    ['movestop', 'zoom', 'flyprogress', 'elementadded', 'elementremoved', 'elementmoved'].forEach(function (eventType) {
+      self.on(eventType, stateChanged);
+    });
+
+    let destroyed = false;
+
+    /**
+     * Stop everything and free all resources, including the WebGL context.
+     * The viewer cannot be used afterwards.
+     */
+    self.destroy = function () {
+      if (destroyed) {
+        return;
       }
+      destroyed = true;
 
-      if (preventDeviceOrientation) {
-        return;
+      // Stop all animations
+      clearTimeout(stateTimer);
+      self.stopTour();
+      self.gaze.stop();
+      self.setHeatmapOverlay(false);
+      self.stopRendering();
+      self.stopFlying();
+      self.stopAutoRotate();
+      stopProjectionTransition();
+      stopSceneTransition();
+      self.disableDeviceOrientation();
+      self.setAnnouncements(false);
+
+      // Remove listeners
+      cameraControls.destroy();
+      listeners.forEach(function (listener) {
+        listener[0].removeEventListener(listener[1], listener[2], listener[3]);
+      });
+      listeners.length = 0;
+
+      // Free memory
+      threeElements.removeAll();
+      if (stereo) {
+        self.setStereoMode(false);
+      }
+      if (sphere) {
+        disposeSphere();
+      }
+      if (flat) {
+        flat.mesh.geometry.dispose();
+        flat.mesh.material.dispose();
+        flat = null;
+      }
+      renderer.dispose();
+      if (renderer.forceContextLoss) {
+        renderer.forceContextLoss();
       }
 
-      // Adjust camera to reflect device movement
-      euler.set(toRad(event.beta), toRad(event.alpha) + cameraControls.getAlpha(), toRad(-event.gamma), 'YXZ');
-      camera.quaternion.setFromEuler(euler);
-      camera.quaternion.multiply(qNinety); // Shift camera 90 degrees
-      qMovement.setFromAxisAngle(xVector, -cameraControls.getBeta());
-      camera.quaternion.multiply(qMovement); // Compensate for movement
-      camera.quaternion.multiply(qOrientation); // Compensate for device orientation
+      if (self.element.parentNode) {
+        self.element.parentNode.removeChild(self.element);
+      }
+      self.trigger('destroyed');
     };
-
-    // Add device orientation controls
-    // TODO: Fix
-    //window.addEventListener('deviceorientation', deviceOrientation, false);
   }
 
   // Extends the event dispatcher
@@ -562,11 +3568,26 @@ H5P.ThreeSixty = (function (EventDispatcher, THREE) {
     var controlActive; // Determine if a control is being used
 
     var startPosition; // Where the element is when it starts moving
-    var prevPosition;
     var startAlpha; // Holds initial alpha value while control is active
     var startBeta; // Holds initial beta value while control is active
 
-    let keyStillDown = null; // Used to determine if a movement key is being held down.
+    let keyBindings = defaultKeyBindings; // Action for each key
+    const keysDown = {}; // Movement keys being held down, with their action
+    let keyFrameId = null;
+    let keyStartTime, lastKeyTime;
+    const pointers = {}; // Last position of the pointers in use, by id
+    let primaryPointer = null; // The pointer that moves the element
+    let gesture = null; // Distance and angle between two fingers when pinching starts
+    let tap = null; // Where the last pointer went down, to detect taps
+    let lastTap = null;
+
+    let damping = 0; // Share of the velocity kept each frame when gliding
+    let glideId = null;
+    let lastMoveTime;
+    const velocity = {
+      x: 0,
+      y: 0
+    };
 
     /**
      * Generic initialization when movement starts.
@@ -579,6 +3600,9 @@ H5P.ThreeSixty = (function (EventDispatcher, THREE) {
      * @return {boolean} If it's safe to start moving
      */
     var start = function (x, y, control, e) {
+      if (controlActive === 'inertia') {
+        stopGliding(); // Catch the gliding movement
+      }
       if (controlActive) {
         return false; // Another control is active
       }
@@ -611,6 +3635,9 @@ H5P.ThreeSixty = (function (EventDispatcher, THREE) {
       beta = 0;
       startAlpha = alpha;
       startBeta = beta;
+      velocity.x = 0;
+      velocity.y = 0;
+      lastMoveTime = performance.now();
 
       controlActive = control;
       return true;
@@ -625,6 +3652,18 @@ H5P.ThreeSixty = (function (EventDispatcher, THREE) {
      * @param {number} f Current friction
      */
     var move = function (deltaX, deltaY, f) {
+      if (controlActive !== 'inertia') {
+        // Keep track of the speed to continue with when released
+        const now = performance.now();
+        const elapsed = now - lastMoveTime;
+        if (elapsed > 0) {
+          velocity.x = 0.8 * (deltaX / elapsed) + 0.2 * velocity.x;
+          velocity.y = 0.8 * (deltaY / elapsed) + 0.2 * velocity.y;
+        }
+        velocity.friction = f;
+        lastMoveTime = now;
+      }
+
       // Prepare move event
       var moveEvent = new H5P.Event('move');
 
@@ -657,197 +3696,373 @@ H5P.ThreeSixty = (function (EventDispatcher, THREE) {
      */
     var end = function () {
       element.classList.remove('dragging');
+      if (damping && controlActive !== 'keyboard' && performance.now() - lastMoveTime < 50) {
+        // Keep moving after release
+        controlActive = 'inertia';
+        lastMoveTime = performance.now();
+        glideId = requestAnimationFrame(glide);
+        return;
+      }
+
+      controlActive = false;
+      self.trigger('movestop');
+    };
+
+    /**
+     * Continue the movement with decaying velocity.
+     *
+     * @private
+     */
+    var glide = function () {
+      const now = performance.now();
+      const elapsed = Math.min(now - lastMoveTime, 100); // Avoid jumps after inactive tabs
+      lastMoveTime = now;
+
+      const decay = Math.pow(damping, elapsed / (1000 / 60));
+      velocity.x *= decay;
+      velocity.y *= decay;
+      if (Math.abs(velocity.x) + Math.abs(velocity.y) < 0.01) {
+        stopGliding();
+        return;
+      }
+
+      glideId = requestAnimationFrame(glide);
+      move(velocity.x * elapsed, velocity.y * elapsed, velocity.friction);
+    };
+
+    /**
+     * Stop the gliding movement.
+     *
+     * @private
+     */
+    var stopGliding = function () {
+      cancelAnimationFrame(glideId);
+      glideId = null;
       controlActive = false;
       self.trigger('movestop');
     };
 
     /**
-     * Handle mouse down
+     * Handle mouse, touch and pen input
      *
      * @private
-     * @param {MouseEvent} event
+     * @param {PointerEvent} event
      */
-    var mouseDown = function (event) {
-      if (event.which !== 1) {
+    var pointerDown = function (event) {
+      if (event.pointerType === 'mouse' && event.button !== 0) {
         return; // Only react to left click
       }
 
-      if (!start(event.pageX, event.pageY, 'mouse', event)) {
+      if (primaryPointer !== null) {
+        if (isCamera && !gesture && event.pointerType !== 'mouse' && Object.keys(pointers).length === 1) {
+          // Second finger down, start pinching and twisting
+          trackPointer(event);
+          for (let id in pointers) {
+            capturePointer(Number(id));
+          }
+          gesture = getGesture();
+          tap = null;
+          velocity.x = velocity.y = 0;
+          self.trigger('pinchstart');
+        }
+        return; // Any other pointers are ignored
+      }
+
+      if (!start(event.clientX, event.clientY, event.pointerType, event)) {
         return; // Prevented by another component
       }
 
       // Prevent other elements from moving
       event.stopPropagation();
 
-      // Register mouse move and up handlers
-      window.addEventListener('mousemove', mouseMove, false);
-      window.addEventListener('mouseup', mouseUp, false);
+      primaryPointer = event.pointerId;
+      trackPointer(event);
+      tap = {
+        time: performance.now(),
+        x: event.clientX,
+        y: event.clientY,
+        target: event.target
+      };
 
+      // Listen on window since the pointer is not captured until dragging
+      window.addEventListener('pointermove', pointerMove, false);
+      window.addEventListener('pointerup', pointerUp, false);
+      window.addEventListener('pointercancel', pointerUp, false);
     };
 
     /**
-     * Handle mouse move
+     * Keep track of the pointer.
      *
      * @private
-     * @param {MouseEvent} event
+     * @param {PointerEvent} event
      */
-    var mouseMove = function (event) {
-      let xDiff = event.movementX;
-      let yDiff = event.movementY;
-      if (event.movementX === undefined || event.movementY === undefined) {
-        // Diff on old values
-        if (!prevPosition) {
-          prevPosition = {
-            x: startPosition.x,
-            y: startPosition.y,
-          };
-        }
-        xDiff = event.pageX - prevPosition.x;
-        yDiff = event.pageY - prevPosition.y;
+    var trackPointer = function (event) {
+      pointers[event.pointerId] = {
+        x: event.clientX,
+        y: event.clientY,
+        startX: event.clientX,
+        startY: event.clientY,
+        captured: false
+      };
+    };
 
-        prevPosition = {
-          x: event.pageX,
-          y: event.pageY,
-        };
-      }
-      if (xDiff !== 0 || yDiff !== 0) {
-        move(xDiff, yDiff, friction);
+    /**
+     * Receive all the pointer's events, even when it leaves the element.
+     * Not done until dragging, since the click would go to the element
+     * instead of the hotspot that was pressed.
+     *
+     * @private
+     * @param {number} id
+     */
+    var capturePointer = function (id) {
+      const pointer = pointers[id];
+      if (pointer && !pointer.captured) {
+        pointer.captured = true;
+        element.setPointerCapture(id);
       }
     };
 
     /**
-     * Handle mouse up
+     * Get the distance and angle between the two pointers.
      *
      * @private
-     * @param {MouseEvent} event
+     * @return {Object}
      */
-    var mouseUp = function (event) {
-      prevPosition = null;
-      window.removeEventListener('mousemove', mouseMove, false);
-      window.removeEventListener('mouseup', mouseUp, false);
-      end();
+    var getGesture = function () {
+      const ids = Object.keys(pointers);
+      const a = pointers[ids[0]];
+      const b = pointers[ids[1]];
+      return {
+        distance: Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2)),
+        angle: Math.atan2(b.y - a.y, b.x - a.x)
+      };
     };
 
     /**
-     * Handle touch start
+     * Handle pointer move
      *
      * @private
-     * @param {TouchEvent} event
+     * @param {PointerEvent} event
      */
-    var touchStart = function (event) {
-      if (!start(event.changedTouches[0].pageX, event.changedTouches[0].pageY, 'touch')) {
+    var pointerMove = function (event) {
+      const pointer = pointers[event.pointerId];
+      if (!pointer) {
+        return; // Not in use
+      }
+      event.preventDefault();
+      event.stopPropagation();
+
+      const deltaX = event.clientX - pointer.x;
+      const deltaY = event.clientY - pointer.y;
+      pointer.x = event.clientX;
+      pointer.y = event.clientY;
+
+      if (Math.abs(pointer.x - pointer.startX) + Math.abs(pointer.y - pointer.startY) > dragThreshold) {
+        capturePointer(event.pointerId);
+      }
+
+      if (gesture) {
+        const current = getGesture();
+        self.trigger('pinch', {
+          scale: current.distance / gesture.distance,
+          rotation: getAngleDelta(gesture.angle, current.angle)
+        });
         return;
       }
 
-      element.addEventListener('touchmove', touchMove, false);
-      element.addEventListener('touchend', touchEnd, false);
+      if (event.pointerId === primaryPointer && (deltaX !== 0 || deltaY !== 0)) {
+        move(deltaX, deltaY, (event.pointerType === 'touch' ? friction * 0.75 : friction));
+      }
     };
 
     /**
-     * Handle touch movement
+     * Handle pointer up and cancel
      *
      * @private
-     * @param {TouchEvent} event
+     * @param {PointerEvent} event
      */
-    var touchMove = function (event) {
-      if (!event.cancelable) {
-        return;
+    var pointerUp = function (event) {
+      if (!pointers[event.pointerId]) {
+        return; // Not in use
       }
-      event.preventDefault();
-      event.stopPropagation();
+      delete pointers[event.pointerId];
 
-      if (!prevPosition) {
-        prevPosition = {
-          x: startPosition.x,
-          y: startPosition.y,
-        };
+      if (gesture) {
+        gesture = null;
+        velocity.x = velocity.y = 0;
+        self.trigger('pinchend');
+
+        const left = Object.keys(pointers);
+        if (left.length) {
+          // Keep moving with the finger that is left
+          primaryPointer = Number(left[0]);
+          return;
+        }
       }
-      const deltaX = event.changedTouches[0].pageX - prevPosition.x;
-      const deltaY = event.changedTouches[0].pageY - prevPosition.y;
-      prevPosition = {
-        x: event.changedTouches[0].pageX,
-        y: event.changedTouches[0].pageY,
+
+      window.removeEventListener('pointermove', pointerMove, false);
+      window.removeEventListener('pointerup', pointerUp, false);
+      window.removeEventListener('pointercancel', pointerUp, false);
+      primaryPointer = null;
+      end();
+      if (event.type === 'pointerup') {
+        detectDoubleTap(event);
+      }
+    };
+
+    /**
+     * Let others know when the element has been tapped twice in a row.
+     *
+     * @private
+     * @param {PointerEvent} event
+     */
+    var detectDoubleTap = function (event) {
+      const now = performance.now();
+      if (!tap || tap.target !== element || now - tap.time > 300 ||
+          Math.abs(event.clientX - tap.x) + Math.abs(event.clientY - tap.y) > dragThreshold) {
+        lastTap = null;
+        return; // Not a tap
+      }
+
+      if (lastTap && now - lastTap.time < 400 && Math.abs(tap.x - lastTap.x) + Math.abs(tap.y - lastTap.y) < 40) {
+        lastTap = null;
+        self.trigger('doubletap', {
+          x: event.clientX,
+          y: event.clientY
+        });
+        return;
+      }
+      lastTap = {
+        time: now,
+        x: tap.x,
+        y: tap.y
       };
-      move(deltaX, deltaY, friction * 0.75);
     };
 
     /**
-     * Handle touch end
+     * Find the action bound to the pressed key.
      *
      * @private
-     * @param {TouchEvent} event
+     * @param {KeyboardEvent} event
+     * @return {string}
      */
-    var touchEnd = function (event) {
-      prevPosition = null;
-      element.removeEventListener('touchmove', touchMove, false);
-      element.removeEventListener('touchend', touchEnd, false);
-      end();
+    var getKeyAction = function (event) {
+      if (event.ctrlKey || event.altKey || event.metaKey) {
+        return; // Leave browser shortcuts alone
+      }
+      if (keyBindings.hasOwnProperty(event.key)) {
+        return keyBindings[event.key];
+      }
+      if (keyBindings.hasOwnProperty(event.code)) {
+        return keyBindings[event.code];
+      }
     };
 
     /**
-     * Handle touch start
+     * Handle key down
      *
      * @private
-     * @param {TouchEvent} event
+     * @param {KeyboardEvent} event
      */
     var keyDown = function (event) {
-      if ([37, 100, 38, 104, 39, 102, 40, 98].indexOf(event.which) === -1) {
-        return; // Not an arrow key
+      const action = getKeyAction(event);
+      if (!action) {
+        return;
       }
 
-      if (keyStillDown === null) {
-        // Try to start movement
-        if (start(0, 0, 'keyboard')) {
-          keyStillDown = event.which;
-          element.addEventListener('keyup', keyUp, false);
+      if (!keyMovements[action]) {
+        if (!isTextInput(event.target)) {
+          // Let others handle the action and prevent the default
+          self.trigger('keyaction', {
+            action: action,
+            event: event
+          });
         }
+        return;
       }
 
       // Prevent the default behavior
       event.preventDefault();
       event.stopPropagation();
 
-      if (keyStillDown !== event.which) {
-        return; // Not the same key as we started with
+      if (keysDown[event.key]) {
+        return; // Held down, moved every frame
       }
 
-      const delta = {
-        x: 0,
-        y: 0
-      };
+      if (controlActive !== 'keyboard') {
+        // Try to start movement
+        if (!start(0, 0, 'keyboard')) {
+          return;
+        }
+        keyStartTime = lastKeyTime = performance.now();
+        keyFrameId = requestAnimationFrame(keyMove);
+        element.addEventListener('keyup', keyUp, false);
+        element.addEventListener('blur', releaseKeys, false);
+      }
+      keysDown[event.key] = action;
 
-      // Update movement in approperiate direction
-      switch (event.which) {
-        case 37:
-        case 100:
-          delta.x += invert;
-          break;
-        case 38:
-        case 104:
-          delta.y += invert;
-          break;
-        case 39:
-        case 102:
-          delta.x -= invert;
-          break;
-        case 40:
-        case 98:
-          delta.y -= invert;
-          break;
+      // Move a little right away to allow for small adjustments
+      const direction = keyMovements[action];
+      move(direction[0] * invert * keyStep, direction[1] * invert * keyStep, 1);
+    };
+
+    /**
+     * Move in the combined direction of the keys held down, faster the
+     * longer they are held.
+     *
+     * @private
+     */
+    var keyMove = function () {
+      const now = performance.now();
+      const elapsed = Math.min(now - lastKeyTime, 100); // Avoid jumps after inactive tabs
+      lastKeyTime = now;
+      keyFrameId = requestAnimationFrame(keyMove);
+
+      let x = 0;
+      let y = 0;
+      for (const key in keysDown) {
+        x += keyMovements[keysDown[key]][0];
+        y += keyMovements[keysDown[key]][1];
+      }
+      const length = Math.sqrt(x * x + y * y);
+      if (!length) {
+        return; // Opposite keys
       }
-      move(delta.x, delta.y, friction * 0.025);
+
+      const speed = keySpeed + (keyMaxSpeed - keySpeed) * Math.min((now - keyStartTime) / keyAccelerationTime, 1);
+      const distance = speed * elapsed / 1000;
+      move(x / length * invert * distance, y / length * invert * distance, 1);
     };
 
     /**
-     * Handle touch end
+     * Handle key up
      *
      * @private
-     * @param {TouchEvent} event
+     * @param {KeyboardEvent} event
      */
     var keyUp = function (event) {
-      keyStillDown = null;
+      delete keysDown[event.key];
+      if (!Object.keys(keysDown).length) {
+        releaseKeys();
+      }
+    };
+
+    /**
+     * Stop the keyboard movement, e.g. when focus is lost.
+     *
+     * @private
+     */
+    var releaseKeys = function () {
+      for (const key in keysDown) {
+        delete keysDown[key];
+      }
+      cancelAnimationFrame(keyFrameId);
+      keyFrameId = null;
       element.removeEventListener('keyup', keyUp, false);
-      end();
+      element.removeEventListener('blur', releaseKeys, false);
+      if (controlActive === 'keyboard') {
+        end();
+      }
     };
 
     /**
@@ -877,6 +4092,29 @@ H5P.ThreeSixty = (function (EventDispatcher, THREE) {
       return beta;
     };
 
+    /**
+     * Let the movement continue and slowly come to a stop after the
+     * mouse or finger is released.
+     *
+     * @param {number} [dampingFactor] Share of the speed kept each frame, from 0 to 1. Falsy disables inertia.
+     */
+    self.setInertia = function (dampingFactor) {
+      damping = dampingFactor ? clamp(dampingFactor, 0, 0.99) : 0;
+      if (!damping && controlActive === 'inertia') {
+        stopGliding();
+      }
+    };
+
+    /**
+     * Change which keys control the movement. Other actions are triggered
+     * as keyaction events.
+     *
+     * @param {Object} bindings Action for each KeyboardEvent key or code
+     */
+    self.setKeyBindings = function (bindings) {
+      keyBindings = bindings;
+    };
+
     /**
      * @param {string} [control] Check for specific control
      * @return {boolean}
@@ -885,34 +4123,291 @@ H5P.ThreeSixty = (function (EventDispatcher, THREE) {
       return (control ? controlActive === control : !!controlActive);
     };
 
+    /**
+     * Stop any movement and remove all the listeners.
+     */
+    self.destroy = function () {
+      cancelAnimationFrame(glideId);
+      glideId = null;
+      for (const key in keysDown) {
+        delete keysDown[key];
+      }
+      cancelAnimationFrame(keyFrameId);
+      keyFrameId = null;
+      for (const id in pointers) {
+        delete pointers[id];
+      }
+      primaryPointer = null;
+      gesture = null;
+      controlActive = false;
+
+      window.removeEventListener('pointermove', pointerMove, false);
+      window.removeEventListener('pointerup', pointerUp, false);
+      window.removeEventListener('pointercancel', pointerUp, false);
+      element.removeEventListener('keyup', keyUp, false);
+      element.removeEventListener('blur', releaseKeys, false);
+      element.removeEventListener('pointerdown', pointerDown, false);
+      element.removeEventListener('keydown', keyDown, false);
+      element.removeEventListener('focus', focus, false);
+    };
+
     // Register event listeners to position element
-    element.addEventListener('mousedown', mouseDown, false);
-    element.addEventListener('touchstart', touchStart, false);
+    element.addEventListener('pointerdown', pointerDown, false);
     element.addEventListener('keydown', keyDown, false);
+    element.style.touchAction = 'none'; // Handle all the gestures
     element.tabIndex = '0';
     element.setAttribute('role', 'application');
     element.addEventListener('focus', focus, false);
   }
 
+  /**
+   * Class for keeping track of the elements added to the "CSS 3d world".
+   * Putting the elements into the world is left to the owner.
+   *
+   * @class
+   * @param {Function} attach Puts an entry's element into the world and returns its 3D object
+   * @param {Function} detach Takes an entry's element out of the world
+   */
+  function ElementCollection(attach, detach) {
+    /** @type ElementCollection# */
+    var self = this;
+
+    // Initialize event inheritance
+    EventDispatcher.call(self);
+
+    const entries = [];
+    let nextId = 1;
+
+    /**
+     * Find the entry for the given id, element or 3D object.
+     *
+     * @private
+     * @param {string|Element|THREE.Object3D} item
+     * @return {Object}
+     */
+    const getEntry = function (item) {
+      for (let i = 0; i < entries.length; i++) {
+        if (entries[i].id === item || entries[i].element === item || entries[i].threeElement === item) {
+          return entries[i];
+        }
+      }
+    };
+
+    /**
+     * Get the current position of the entry's element.
+     *
+     * @private
+     * @param {Object} entry
+     * @return {Object}
+     */
+    const getPosition = function (entry) {
+      return {
+        yaw: -entry.threeElement.rotation.y,
+        pitch: entry.threeElement.rotation.x
+      };
+    };
+
+    /**
+     * Add element to the world.
+     *
+     * @param {Element} element
+     * @param {Object} position
+     * @param {boolean} [enableControls] Let the user move the element
+     * @param {string} [id] Generated if not set
+     * @param {Object} [settings] Kept for the owner
+     * @return {THREE.Object3D}
+     */
+    self.add = function (element, position, enableControls, id, settings) {
+      if (id === undefined) {
+        do {
+          id = 'element-' + (nextId++);
+        } while (getEntry(id));
+      }
+      else if (getEntry(id)) {
+        throw new Error('Element id is already in use: ' + id);
+      }
+
+      const entry = {
+        id: id,
+        element: element,
+        enableControls: !!enableControls,
+        settings: settings || {}
+      };
+      entry.threeElement = attach(entry, position);
+      entries.push(entry);
+
+      self.trigger('elementadded', {
+        id: id,
+        element: element
+      });
+      return entry.threeElement;
+    };
+
+    /**
+     * @param {string} id
+     * @return {THREE.Object3D} undefined if not found
+     */
+    self.get = function (id) {
+      const entry = getEntry(id);
+      return (entry ? entry.threeElement : undefined);
+    };
+
+    /**
+     * @param {Element|THREE.Object3D} item
+     * @return {string} undefined if not found
+     */
+    self.getId = function (item) {
+      const entry = getEntry(item);
+      return (entry ? entry.id : undefined);
+    };
+
+    /**
+     * @param {string} id
+     * @return {Object} yaw and pitch, undefined if not found
+     */
+    self.getPosition = function (id) {
+      const entry = getEntry(id);
+      return (entry ? getPosition(entry) : undefined);
+    };
+
+    /**
+     * @param {string|Element|THREE.Object3D} item
+     * @return {number} -1 if not found
+     */
+    self.indexOf = function (item) {
+      return entries.indexOf(getEntry(item));
+    };
+
+    /**
+     * Move the element or replace it with another.
+     *
+     * @param {string} id
+     * @param {Object} changes
+     * @param {Object} [changes.position]
+     * @param {Element} [changes.element]
+     * @return {boolean} False if the element was not found
+     */
+    self.update = function (id, changes) {
+      const entry = getEntry(id);
+      if (!entry) {
+        return false;
+      }
+
+      if (changes.element && changes.element !== entry.element) {
+        const position = changes.position || getPosition(entry);
+        const index = entries.indexOf(entry);
+        self.remove(id);
+        self.add(changes.element, position, entry.enableControls, id, entry.settings);
+
+        // Keep the same order
+        entries.splice(index, 0, entries.pop());
+      }
+      else if (changes.position) {
+        ThreeSixty.setElementPosition(entry.threeElement, changes.position);
+        self.trigger('elementmoved', {
+          id: id,
+          element: entry.element,
+          yaw: changes.position.yaw,
+          pitch: changes.position.pitch
+        });
+      }
+      return true;
+    };
+
+    /**
+     * Remove element from the world.
+     *
+     * @param {string|Element|THREE.Object3D} item Id, element or its 3D object
+     * @return {boolean} False if the element was not found
+     */
+    self.remove = function (item) {
+      const entry = getEntry(item);
+      if (!entry) {
+        return false;
+      }
+
+      entries.splice(entries.indexOf(entry), 1);
+      detach(entry);
+      self.trigger('elementremoved', {
+        id: entry.id,
+        element: entry.element
+      });
+      return true;
+    };
+
+    /**
+     * Remove all the elements from the world.
+     */
+    self.removeAll = function () {
+      while (entries.length) {
+        self.remove(entries[entries.length - 1].id);
+      }
+    };
+
+    /**
+     * @param {Function} callback Receives the 3D object, id and element
+     */
+    self.forEach = function (callback) {
+      entries.slice().forEach(function (entry) {
+        callback(entry.threeElement, entry.id, entry.element);
+      });
+    };
+
+    /**
+     * @return {number}
+     */
+    self.size = function () {
+      return entries.length;
+    };
+
+    /**
+     * Allows for...of, giving id, element and threeElement.
+     *
+     * @return {Iterator}
+     */
+    self[Symbol.iterator] = function () {
+      return entries.map(function (entry) {
+        return {
+          id: entry.id,
+          element: entry.element,
+          threeElement: entry.threeElement
+        };
+      })[Symbol.iterator]();
+    };
+  }
+
   /**
    * Set the element's position in the 3d world, always facing the camera.
    *
-   * @param {THREE.CSS3DObject} threeElement
+   * @param {THREE.CSS2DObject|THREE.CSS3DObject} threeElement
    * @param {Object} position
    * @param {number} position.yaw Radians from 0 to Math.PI*2 (0-360)
    * @param {number} position.pitch Radians from -Math.PI/2 to Math.PI/2 (-90-90)
    */
   ThreeSixty.setElementPosition = function (threeElement, position) {
-    var radius = 800;
-
-    threeElement.position.x = radius * Math.sin(position.yaw) * Math.cos(position.pitch);
-    threeElement.position.y = radius * Math.sin(position.pitch);
-    threeElement.position.z = -radius * Math.cos(position.yaw) * Math.cos(position.pitch);
+    threeElement.position.x = elementRadius * Math.sin(position.yaw) * Math.cos(position.pitch);
+    threeElement.position.y = elementRadius * Math.sin(position.pitch);
+    threeElement.position.z = -elementRadius * Math.cos(position.yaw) * Math.cos(position.pitch);
 
     threeElement.rotation.order = 'YXZ';
     threeElement.rotation.y = -position.yaw;
     threeElement.rotation.x = +position.pitch;
+
+    if (threeElement.userData.surface) {
+      // Turn away from the camera without changing the rotation, which holds the position
+      threeElement.matrixAutoUpdate = false;
+      threeElement.updateMatrix();
+      threeElement.matrix.multiply(threeElement.userData.surface);
+      threeElement.matrixWorldNeedsUpdate = true;
+    }
   };
 
+  // Helpers shared with the classes in the other scripts
+  ThreeSixty.toRad = toRad;
+  ThreeSixty.clamp = clamp;
+  ThreeSixty.getAngleDelta = getAngleDelta;
+  ThreeSixty.easings = easings;
+  ThreeSixty.createTexture = createTexture;
+
   return ThreeSixty;
 })(H5P.EventDispatcher, H5P.ThreeJS);
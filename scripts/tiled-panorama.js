@@ -0,0 +1,358 @@
+H5P.ThreeSixty.TiledPanorama = (function (EventDispatcher, THREE, ThreeSixty) {
+
+  const toRad = ThreeSixty.toRad;
+  const createTexture = ThreeSixty.createTexture;
+
+  /**
+   * Direction of the center, right and up edges of each cube face, as seen
+   * from the inside.
+   */
+  const cubeFaceVectors = {
+    front: [[0, 0, -1], [1, 0, 0], [0, 1, 0]],
+    right: [[1, 0, 0], [0, 0, 1], [0, 1, 0]],
+    back: [[0, 0, 1], [-1, 0, 0], [0, 1, 0]],
+    left: [[-1, 0, 0], [0, 0, -1], [0, 1, 0]],
+    up: [[0, 1, 0], [1, 0, 0], [0, 0, 1]],
+    down: [[0, -1, 0], [1, 0, 0], [0, 0, -1]]
+  };
+
+  /**
+   * Class for showing very large panoramas split into a pyramid of cube
+   * face tiles. Only the tiles in view at the needed level of detail are
+   * loaded, lower levels are shown while higher levels are loading.
+   *
+   * @class H5P.ThreeSixty.TiledPanorama
+   * @param {Object} source See ThreeSixty constructor
+   * @param {number} size Width of the cube
+   */
+  function TiledPanorama(source, size) {
+    /** @alias H5P.ThreeSixty.TiledPanorama# */
+    var self = this;
+
+    // Initialize event inheritance
+    EventDispatcher.call(self);
+
+    const maxLoading = 4; // Number of tiles to load at the same time
+    const maxTiles = 150; // Number of tiles to keep in memory
+    const faceNames = source.faceNames || {};
+
+    const tiles = {}; // Loaded or loading tiles, by key
+    let numTiles = 0;
+    let queue = []; // Tiles in view waiting to be loaded
+    const fallbackQueue = []; // Lowest level tiles waiting to be loaded
+    let numLoading = 0;
+    let destroyed = false;
+    let opacity = 1;
+
+    const frustum = new THREE.Frustum();
+    const matrix = new THREE.Matrix4();
+
+    /**
+     * Container of all the tile meshes.
+     * @type {THREE.Group}
+     */
+    self.object = new THREE.Group();
+
+    /**
+     * Get settings for the given level.
+     *
+     * @private
+     * @param {number} level
+     * @return {Object}
+     */
+    const getLevel = function (level) {
+      const tileSize = source.levels[level].tileSize || source.tileSize || 512;
+      return {
+        size: source.levels[level].size,
+        tileSize: tileSize,
+        numTiles: Math.ceil(source.levels[level].size / tileSize)
+      };
+    };
+
+    /**
+     * Find the tile's corners on the cube.
+     *
+     * @private
+     * @param {Object} tile
+     * @return {THREE.Vector3[]} Top left, top right, bottom left and bottom right
+     */
+    const getCorners = function (tile) {
+      const level = getLevel(tile.level);
+      const vectors = cubeFaceVectors[tile.face];
+      const left = tile.x * level.tileSize / level.size;
+      const right = Math.min((tile.x + 1) * level.tileSize, level.size) / level.size;
+      const top = tile.y * level.tileSize / level.size;
+      const bottom = Math.min((tile.y + 1) * level.tileSize, level.size) / level.size;
+
+      return [[left, top], [right, top], [left, bottom], [right, bottom]].map(function (corner) {
+        const u = corner[0] * 2 - 1;
+        const v = 1 - corner[1] * 2;
+        return new THREE.Vector3(
+          vectors[0][0] + u * vectors[1][0] + v * vectors[2][0],
+          vectors[0][1] + u * vectors[1][1] + v * vectors[2][1],
+          vectors[0][2] + u * vectors[1][2] + v * vectors[2][2]
+        ).multiplyScalar(size / 2);
+      });
+    };
+
+    /**
+     * Get the location of the tile's image.
+     *
+     * @private
+     * @param {Object} tile
+     * @return {string|Promise}
+     */
+    const getTileSource = function (tile) {
+      const face = faceNames[tile.face] || tile.face;
+      if (typeof source.url === 'function') {
+        return source.url(tile.level, face, tile.x, tile.y);
+      }
+      return source.url
+        .replace(/{level}/g, tile.level)
+        .replace(/{face}/g, face)
+        .replace(/{x}/g, tile.x)
+        .replace(/{y}/g, tile.y);
+    };
+
+    /**
+     * Load the tile's image.
+     *
+     * @private
+     * @param {Object} tile
+     * @return {Promise}
+     */
+    const loadImage = function (tile) {
+      const tileSource = getTileSource(tile);
+      if (typeof tileSource !== 'string') {
+        return Promise.resolve(tileSource); // Image, canvas or promise
+      }
+
+      return new Promise(function (resolve, reject) {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = function () {
+          resolve(image);
+        };
+        image.onerror = function () {
+          reject(new Error('Unable to load tile: ' + tileSource));
+        };
+        image.src = tileSource;
+      });
+    };
+
+    /**
+     * Create the mesh showing the tile's image.
+     *
+     * @private
+     * @param {Object} tile
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     */
+    const createMesh = function (tile, image) {
+      const corners = getCorners(tile);
+      const geometry = new THREE.BufferGeometry();
+      geometry.addAttribute('position', new THREE.Float32BufferAttribute([].concat(
+        corners[0].toArray(), corners[1].toArray(), corners[2].toArray(), corners[3].toArray()
+      ), 3));
+      geometry.addAttribute('uv', new THREE.Float32BufferAttribute([0, 1, 1, 1, 0, 0, 1, 0], 2));
+      geometry.setIndex([0, 2, 1, 2, 3, 1]);
+
+      tile.mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        map: createTexture(image),
+        side: THREE.DoubleSide,
+        depthTest: false,
+        depthWrite: false,
+        transparent: (opacity < 1),
+        opacity: opacity
+      }));
+      tile.mesh.renderOrder = tile.level; // Higher levels are drawn on top
+      self.object.add(tile.mesh);
+    };
+
+    /**
+     * Load the next tiles in the queue.
+     *
+     * @private
+     */
+    const loadNext = function () {
+      while (numLoading < maxLoading && (queue.length || fallbackQueue.length)) {
+        const tile = (queue.length ? queue.shift() : fallbackQueue.shift());
+        if (tile.loading || tile.mesh) {
+          continue;
+        }
+
+        tile.loading = true;
+        numLoading++;
+        loadImage(tile).then(function (image) {
+          if (!destroyed && tiles[tile.key] === tile) {
+            createMesh(tile, image);
+            self.trigger('tileloaded', tile);
+          }
+        }, function (error) {
+          tile.failed = true;
+          self.trigger('tileerror', {
+            level: tile.level,
+            face: tile.face,
+            x: tile.x,
+            y: tile.y,
+            error: error
+          });
+        }).then(function () {
+          tile.loading = false;
+          numLoading--;
+          if (!destroyed) {
+            loadNext();
+          }
+        });
+      }
+    };
+
+    /**
+     * Get a tile, creating it if it does not exist.
+     *
+     * @private
+     * @return {Object}
+     */
+    const getTile = function (level, face, x, y) {
+      const key = level + '/' + face + '/' + x + '/' + y;
+      if (!tiles[key]) {
+        tiles[key] = {
+          key: key,
+          level: level,
+          face: face,
+          x: x,
+          y: y
+        };
+        tiles[key].box = new THREE.Box3().setFromPoints(getCorners(tiles[key]));
+        numTiles++;
+      }
+      return tiles[key];
+    };
+
+    /**
+     * Remove the tile and free its memory.
+     *
+     * @private
+     * @param {Object} tile
+     */
+    const disposeTile = function (tile) {
+      if (tile.mesh) {
+        self.object.remove(tile.mesh);
+        tile.mesh.geometry.dispose();
+        tile.mesh.material.map.dispose();
+        tile.mesh.material.dispose();
+      }
+      delete tiles[tile.key];
+      numTiles--;
+    };
+
+    /**
+     * Pick the lowest level with enough detail for the current zoom.
+     *
+     * @private
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {number} height Of viewport in pixels
+     * @return {number}
+     */
+    const pickLevel = function (camera, height) {
+      // Pixels per radian in the center of the screen and of a cube face
+      const needed = (height * (window.devicePixelRatio || 1) / 2) / Math.tan(toRad(camera.fov) / 2);
+      for (let i = 0; i < source.levels.length; i++) {
+        if (source.levels[i].size / 2 >= needed) {
+          return i;
+        }
+      }
+      return source.levels.length - 1;
+    };
+
+    /**
+     * Load the tiles needed for the current view.
+     *
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {number} height Of viewport in pixels
+     */
+    self.update = function (camera, height) {
+      camera.updateMatrixWorld();
+      matrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+      frustum.setFromMatrix(matrix);
+
+      const level = pickLevel(camera, height);
+      const settings = getLevel(level);
+      const now = performance.now();
+      queue = [];
+
+      for (const face in cubeFaceVectors) {
+        for (let y = 0; y < settings.numTiles; y++) {
+          for (let x = 0; x < settings.numTiles; x++) {
+            const tile = getTile(level, face, x, y);
+            if (frustum.intersectsBox(tile.box)) {
+              tile.lastVisible = now;
+              if (!tile.mesh && !tile.loading && !tile.failed) {
+                queue.push(tile);
+              }
+            }
+            else if (level !== 0 && !tile.mesh && !tile.loading) {
+              disposeTile(tile); // Not needed
+            }
+          }
+        }
+      }
+      loadNext();
+
+      if (numTiles > maxTiles) {
+        // Free the tiles that have been out of view the longest, keep the lowest level as fallback
+        Object.keys(tiles).map(function (key) {
+          return tiles[key];
+        }).filter(function (tile) {
+          return tile.level !== 0 && !tile.loading && tile.lastVisible !== now;
+        }).sort(function (a, b) {
+          return a.lastVisible - b.lastVisible;
+        }).slice(0, numTiles - maxTiles).forEach(disposeTile);
+      }
+    };
+
+    /**
+     * Fade the tiles, e.g. during scene transitions.
+     *
+     * @param {number} value 0 to 1
+     */
+    self.setOpacity = function (value) {
+      opacity = value;
+      for (const key in tiles) {
+        const material = (tiles[key].mesh ? tiles[key].mesh.material : null);
+        if (!material) {
+          continue;
+        }
+        if (material.transparent !== (opacity < 1)) {
+          material.transparent = (opacity < 1);
+          material.needsUpdate = true;
+        }
+        material.opacity = opacity;
+      }
+    };
+
+    /**
+     * Free all the memory used by the tiles.
+     */
+    self.dispose = function () {
+      destroyed = true;
+      queue = [];
+      fallbackQueue.length = 0;
+      Object.keys(tiles).forEach(function (key) {
+        disposeTile(tiles[key]);
+      });
+    };
+
+    // Always load the lowest level to show while loading the details
+    const lowest = getLevel(0);
+    for (const face in cubeFaceVectors) {
+      for (let y = 0; y < lowest.numTiles; y++) {
+        for (let x = 0; x < lowest.numTiles; x++) {
+          fallbackQueue.push(getTile(0, face, x, y));
+        }
+      }
+    }
+    loadNext();
+  }
+
+  return TiledPanorama;
+})(H5P.EventDispatcher, H5P.ThreeJS, H5P.ThreeSixty);